@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+const { hashContent, loadCache, saveCache } = require('../src/parser/cache.js');
+const { generateDocs } = require('../index.js');
+const { createProject, removeProjects } = require('./helpers/tempProject.js');
+
+describe('parse cache', () => {
+  let projectDir;
+  let gutenrc;
+
+  beforeEach(() => {
+    ({ projectDir, gutenrc } = createProject('gutencache-'));
+    fs.mkdirSync(path.join(projectDir, 'GutenApi'));
+    fs.writeFileSync(path.join(projectDir, 'a.js'), 'const a = 1;');
+  });
+
+  afterEach(removeProjects);
+
+  const fileName = () => path.join(path.basename(projectDir), 'a.js');
+
+  it('should hash the same content to the same key', () => {
+    expect(hashContent('const a = 1;')).toBe(hashContent('const a = 1;'));
+    expect(hashContent('const a = 1;')).not.toBe(hashContent('const a = 2;'));
+  });
+
+  it('should return an empty cache when nothing has been saved', () => {
+    expect(loadCache(gutenrc).files).toEqual({});
+  });
+
+  it('should load what was saved', () => {
+    const cache = loadCache(gutenrc);
+    cache.files[fileName()] = { hash: 'abc', content: [{ comment: '*', name: 'a' }] };
+    saveCache(gutenrc, cache);
+    expect(loadCache(gutenrc).files).toEqual(cache.files);
+  });
+
+  it('should drop files that no longer exist', () => {
+    const cache = loadCache(gutenrc);
+    cache.files[fileName()] = { hash: 'abc', content: [] };
+    cache.files['deleted.js'] = { hash: 'def', content: [] };
+    saveCache(gutenrc, cache);
+    expect(Object.keys(loadCache(gutenrc).files)).toEqual([fileName()]);
+  });
+
+  it('should throw the cache out when the parser settings change', () => {
+    const cache = loadCache(gutenrc);
+    cache.files[fileName()] = { hash: 'abc', content: [] };
+    saveCache(gutenrc, cache);
+    const changedRC = Object.assign({}, gutenrc, { doctrineSettings: { unwrap: false } });
+    expect(loadCache(changedRC).files).toEqual({});
+  });
+
+  it('should not save or load when caching is turned off', () => {
+    const cache = loadCache(gutenrc);
+    cache.files[fileName()] = { hash: 'abc', content: [] };
+    const disabledRC = Object.assign({}, gutenrc, { cache: false });
+    saveCache(disabledRC, cache);
+    expect(fs.existsSync(path.join(projectDir, 'GutenApi', '.gutencache.json'))).toBe(false);
+  });
+
+  it('should be read and written once for a whole parse', () => {
+    expect.assertions(4);
+    const cachePath = path.join(projectDir, 'GutenApi', '.gutencache.json');
+    const read = jest.spyOn(fs, 'readFileSync');
+    const write = jest.spyOn(fs, 'writeFileSync');
+    const calls = spy => spy.mock.calls.filter(([file]) => file === cachePath).length;
+    const parse = () => generateDocs({
+      root: projectDir,
+      config: { verbosity: 0 },
+      input: ['a.js'],
+    });
+    return parse().then(parse).then(() => {
+      const [reads, writes] = [calls(read), calls(write)];
+      read.mockRestore();
+      write.mockRestore();
+      expect(reads).toBe(1);
+      expect(writes).toBe(2);
+      const cached = loadCache(gutenrc).files[fileName()];
+      expect(cached.content).toBeDefined();
+      expect(cached.parsed).toBeDefined();
+    });
+  });
+});
@@ -0,0 +1,48 @@
+import { highlight } from '../client/src/highlight';
+
+const ofType = (code, type) => highlight(code)
+  .filter(token => token.type === type)
+  .map(token => token.text);
+
+describe('code highlighting', () => {
+  it('should split code into tokens that join back into it', () => {
+    const code = 'const area = (r) => Math.PI * r ** 2; // the area\n';
+    expect(highlight(code).map(token => token.text).join('')).toBe(code);
+  });
+
+  it('should color keywords, literals, numbers and functions', () => {
+    const code = 'if (ready === true) return scale(0x1F, 2.5e3);';
+    expect(ofType(code, 'keyword')).toEqual(['if', 'return']);
+    expect(ofType(code, 'literal')).toEqual(['true']);
+    expect(ofType(code, 'number')).toEqual(['0x1F', '2.5e3']);
+    expect(ofType(code, 'function')).toEqual(['scale']);
+  });
+
+  it('should read opening and closing jsx tags', () => {
+    expect(ofType('<Foo bar={1}>text</Foo>', 'tag')).toEqual(['<Foo', '</Foo']);
+    expect(ofType('return <div>{a}</div>;', 'tag')).toEqual(['<div', '</div']);
+  });
+
+  it('should tell a comparison from a tag', () => {
+    expect(ofType('a < b', 'tag')).toEqual([]);
+    expect(ofType('items.length <max', 'tag')).toEqual([]);
+    expect(ofType('const tag = <Tag />;', 'tag')).toEqual(['<Tag']);
+  });
+
+  it('should read every kind of string, even one left open', () => {
+    expect(ofType('f(\'a\\\'b\', "c", `d\ne`)', 'string')).toEqual(['\'a\\\'b\'', '"c"', '`d\ne`']);
+    expect(ofType('\'open\nnext', 'string')).toEqual(['\'open']);
+  });
+
+  it('should read line and block comments', () => {
+    expect(ofType('a; // done\n/* more\n lines */ b', 'comment')).toEqual(['// done', '/* more\n lines */']);
+    expect(ofType('/* never closed', 'comment')).toEqual(['/* never closed']);
+  });
+
+  it('should read regex literals without running into the rest of the line', () => {
+    expect(ofType('s.replace(/it\'s/g, \'is\');', 'string')).toEqual(['/it\'s/g', '\'is\'']);
+    expect(ofType('return /[/]\\//.test(s);', 'string')).toEqual(['/[/]\\//']);
+    expect(ofType('const half = a / b / 2;', 'string')).toEqual([]);
+    expect(ofType('(a) / (b) / c', 'string')).toEqual([]);
+  });
+});
@@ -0,0 +1,149 @@
+import React from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import { isSafeURL, parseInline, parseMarkdown } from '../client/src/markdown';
+import Markdown from '../client/src/components/Markdown';
+
+const text = value => ({ type: 'text', text: value });
+
+describe('markdown blocks', () => {
+  it('should join the lines of a paragraph and split paragraphs on blank lines', () => {
+    expect(parseMarkdown('one\ntwo\n\nthree')).toEqual([
+      { type: 'paragraph', children: [text('one two')] },
+      { type: 'paragraph', children: [text('three')] },
+    ]);
+  });
+
+  it('should read headings by the number of #', () => {
+    expect(parseMarkdown('## Usage ##\nafter')).toEqual([
+      { type: 'heading', level: 2, children: [text('Usage')] },
+      { type: 'paragraph', children: [text('after')] },
+    ]);
+  });
+
+  it('should read unordered and ordered lists, carrying on wrapped items', () => {
+    expect(parseMarkdown('- one\n  more\n* two\n\n3. three\n4) four')).toEqual([
+      {
+        type: 'list',
+        ordered: false,
+        start: undefined,
+        items: [[text('one more')], [text('two')]],
+      },
+      {
+        type: 'list',
+        ordered: true,
+        start: 3,
+        items: [[text('three')], [text('four')]],
+      },
+    ]);
+  });
+
+  it('should parse the markdown inside of a quote', () => {
+    expect(parseMarkdown('> # Note\n> quoted')).toEqual([{
+      type: 'quote',
+      children: [
+        { type: 'heading', level: 1, children: [text('Note')] },
+        { type: 'paragraph', children: [text('quoted')] },
+      ],
+    }]);
+  });
+
+  it('should keep fenced code as written', () => {
+    expect(parseMarkdown('```js\nconst a = `**b**`;\n\n```\n~~~\n# not a heading\n~~~')).toEqual([
+      { type: 'code', language: 'js', text: 'const a = `**b**`;\n' },
+      { type: 'code', language: undefined, text: '# not a heading' },
+    ]);
+  });
+
+  it('should end a paragraph where another block starts', () => {
+    expect(parseMarkdown('text\n- item').map(block => block.type)).toEqual(['paragraph', 'list']);
+  });
+
+  it('should give nothing for empty descriptions', () => {
+    expect(parseMarkdown(undefined)).toEqual([]);
+    expect(parseMarkdown(' \r\n ')).toEqual([]);
+  });
+});
+
+describe('markdown inlines', () => {
+  it('should read code spans without formatting inside them', () => {
+    expect(parseInline('run ``a `*b*` c`` now')).toEqual([
+      text('run '),
+      { type: 'code', text: 'a `*b*` c' },
+      text(' now'),
+    ]);
+  });
+
+  it('should read strong and em with either marker', () => {
+    expect(parseInline('**a** __b__ *c* _d_')).toEqual([
+      { type: 'strong', href: undefined, children: [text('a')] },
+      text(' '),
+      { type: 'strong', href: undefined, children: [text('b')] },
+      text(' '),
+      { type: 'em', href: undefined, children: [text('c')] },
+      text(' '),
+      { type: 'em', href: undefined, children: [text('d')] },
+    ]);
+  });
+
+  it('should not read underscores inside of names as em', () => {
+    expect(parseInline('snake_case_name')).toEqual([text('snake_case_name')]);
+  });
+
+  it('should read links and autolinks', () => {
+    expect(parseInline('[the *docs*](https://example.com "title") <mailto:me@example.com>')).toEqual([
+      {
+        type: 'link',
+        href: 'https://example.com',
+        children: [text('the '), { type: 'em', href: undefined, children: [text('docs')] }],
+      },
+      text(' '),
+      { type: 'link', href: 'mailto:me@example.com', children: [text('mailto:me@example.com')] },
+    ]);
+  });
+
+  it('should read every form of {@link}', () => {
+    expect(parseInline('{@link Shape} {@linkcode area|the area} [scale]{@link Shape#scale}')).toEqual([
+      {
+        type: 'xref', target: 'Shape', code: false, children: undefined,
+      },
+      text(' '),
+      {
+        type: 'xref', target: 'area', code: true, children: [text('the area')],
+      },
+      text(' '),
+      {
+        type: 'xref', target: 'Shape#scale', code: false, children: [text('scale')],
+      },
+    ]);
+  });
+});
+
+describe('markdown safety', () => {
+  it('should only allow links that can not run script', () => {
+    expect(isSafeURL('https://example.com')).toBe(true);
+    expect(isSafeURL('mailto:me@example.com')).toBe(true);
+    expect(isSafeURL('#Shape')).toBe(true);
+    expect(isSafeURL('../README.md')).toBe(true);
+    /* eslint-disable no-script-url */
+    expect(isSafeURL('javascript:alert(1)')).toBe(false);
+    expect(isSafeURL('JavaScript:alert(1)')).toBe(false);
+    /* eslint-enable no-script-url */
+    expect(isSafeURL(' java\tscript:alert(1)')).toBe(false);
+    expect(isSafeURL('data:text/html,<script>alert(1)</script>')).toBe(false);
+    expect(isSafeURL('vbscript:msgbox(1)')).toBe(false);
+  });
+
+  it('should keep the text of links it does not allow', () => {
+    expect(parseInline('[click](javascript:alert(1))')).toEqual([text('click'), text(')')]);
+    expect(parseInline('[img](data:image/png;base64,AAAA)')).toEqual([text('img')]);
+  });
+
+  it('should render html in descriptions as text', () => {
+    const render = markdown => renderToStaticMarkup(
+      React.createElement(Markdown, { text: markdown }),
+    );
+    const html = render('<img src=x onerror="alert(1)"> **<b>bold</b>**');
+    expect(html).toBe('<span class="markdown">&lt;img src=x onerror=&quot;alert(1)&quot;&gt; <strong>&lt;b&gt;bold&lt;/b&gt;</strong></span>');
+    expect(render('[x](javascript:alert(1))')).not.toMatch(/href/);
+  });
+});
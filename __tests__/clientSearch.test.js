@@ -0,0 +1,154 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import { Simulate } from 'react-dom/test-utils';
+import {
+  queryTerms,
+  search,
+  groupBySection,
+  highlightParts,
+  getSnippet,
+} from '../client/src/search';
+import SideBar from '../client/src/components/SideBar';
+
+const comment = (id, name, header, extra) => Object.assign({
+  id, name, header, description: '', tags: [],
+}, extra);
+
+const comments = [
+  comment(0, 'add', 'Math'),
+  comment(1, 'addNumbers', 'Math'),
+  comment(2, 'format', 'Strings'),
+  comment(3, 'form', 'Forms'),
+];
+
+// every term is only in one document, so only the weights and exactness decide the order
+const index = {
+  version: 1,
+  docs: comments.map(({ id, name, header }) => ({ id, name, header })),
+  terms: {
+    add: [[0, 3], [1, 3]],
+    numbers: [[1, 1]],
+    format: [[2, 1]],
+    form: [[3, 1]],
+  },
+};
+
+const ids = results => results.map(result => result.comment.id);
+
+describe('site search', () => {
+  it('should split the query into lowercase terms without repeats', () => {
+    expect(queryTerms('Add  numbers, add!')).toEqual(['add', 'numbers']);
+    expect(queryTerms('  ')).toEqual([]);
+  });
+
+  it('should only match documents holding every term', () => {
+    expect(ids(search(index, comments, 'add numbers'))).toEqual([1]);
+    expect(ids(search(index, comments, 'add'))).toEqual([0, 1]);
+    expect(search(index, comments, 'add missing')).toEqual([]);
+    expect(search(index, comments, '')).toEqual([]);
+  });
+
+  it('should count a term that only starts with what was typed for less', () => {
+    const [exact, prefix] = search(index, comments, 'form');
+    expect([exact.comment.id, prefix.comment.id]).toEqual([3, 2]);
+    expect(prefix.score).toBeCloseTo(exact.score / 2);
+  });
+
+  it('should search the names when there is no index it can read', () => {
+    const withNameless = comments.concat(comment(4, undefined, 'Math'));
+    expect(ids(search(undefined, withNameless, 'ADD'))).toEqual([0, 1]);
+    expect(ids(search({ version: 0 }, withNameless, 'add num'))).toEqual([1]);
+  });
+
+  it('should group the results by section, best section first', () => {
+    const results = [
+      { comment: comments[3], score: 3 },
+      { comment: comments[0], score: 2 },
+      { comment: comments[2], score: 1.5 },
+      { comment: comments[1], score: 1 },
+    ];
+    expect(groupBySection(results).map(group => [group.header, ids(group.results)])).toEqual([
+      ['Forms', [3]],
+      ['Math', [0, 1]],
+      ['Strings', [2]],
+    ]);
+  });
+
+  it('should mark the parts of text that match', () => {
+    expect(highlightParts('Adds the Numbers', ['add', 'numbers'])).toEqual([
+      { text: 'Add', match: true },
+      { text: 's the ', match: false },
+      { text: 'Numbers', match: true },
+    ]);
+    expect(highlightParts(undefined, ['add'])).toEqual([{ text: '', match: false }]);
+  });
+
+  it('should show the documentation around the first match', () => {
+    const documented = comment(5, 'pad', 'Strings', {
+      description: 'Pads a string',
+      tags: [{ title: 'param', name: 'width', description: `${'the width to reach '.repeat(5)}in characters` }],
+    });
+    expect(getSnippet(documented, ['string'])).toBe('Pads a string');
+    expect(getSnippet(documented, ['characters'])).toMatch(/^….*in characters$/);
+    expect(getSnippet(documented, ['pad'])).toBe('Pads a string');
+    expect(getSnippet(documented, ['missing'])).toBe('');
+  });
+});
+
+describe('search keyboard', () => {
+  let container;
+  const configData = { colors: {}, projectName: 'Shapes', anchorHashJump: 0 };
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    ReactDOM.render(
+      React.createElement(SideBar, {
+        parsedData: comments,
+        searchIndex: index,
+        sections: [],
+        configData,
+      }),
+      container,
+    );
+  });
+
+  afterEach(() => {
+    ReactDOM.unmountComponentAtNode(container);
+    document.body.removeChild(container);
+  });
+
+  const input = () => container.querySelector('#myInput');
+  const type = (value) => {
+    input().value = value;
+    Simulate.change(input());
+  };
+  const active = () => container.querySelector('.activeResult').textContent;
+
+  it('should move through the results in the order they are shown', () => {
+    type('add');
+    expect(active()).toBe('add');
+    Simulate.keyDown(input(), { key: 'ArrowDown' });
+    expect(active()).toBe('addNumbers');
+    Simulate.keyDown(input(), { key: 'ArrowDown' });
+    expect(active()).toBe('addNumbers');
+    Simulate.keyDown(input(), { key: 'ArrowUp' });
+    Simulate.keyDown(input(), { key: 'ArrowUp' });
+    expect(active()).toBe('add');
+  });
+
+  it('should clear the search on escape', () => {
+    type('form');
+    expect(container.querySelectorAll('.searchResult').length).toBe(2);
+    Simulate.keyDown(input(), { key: 'Escape' });
+    expect(input().value).toBe('');
+    expect(container.querySelectorAll('.searchResult').length).toBe(0);
+  });
+
+  it('should keep the results in list items of the sidebar list', () => {
+    type('add');
+    const groups = container.querySelector('ul.components > li.searchResultGroups > ul.searchResults');
+    expect(groups.children[0].tagName).toBe('LI');
+    expect(groups.querySelectorAll('li.sidebarHeader > ul.searchGroup > li.searchResult').length).toBe(2);
+  });
+});
@@ -0,0 +1,67 @@
+import React from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import loadData from '../client/src/loadData';
+import withComments from '../client/src/sections';
+import SideBarSections from '../client/src/components/SideBarSections';
+
+const blocks = [
+  {
+    header: 'Parsing/Comments', priority: 2, name: 'parse', id: 0, tags: [],
+  },
+  {
+    header: 'Setup', priority: 1, name: 'init', id: 1, tags: [],
+  },
+];
+const sections = [
+  { name: 'Parsing', path: 'Parsing', children: [{ name: 'Comments', path: 'Parsing/Comments', children: [] }] },
+  { name: 'Setup', path: 'Setup', children: [] },
+];
+
+describe('site sections', () => {
+  it('should load the sections saved with the data', () => {
+    expect.assertions(1);
+    return loadData({ parsedData: { blocks, sections } })
+      .then(data => expect(data).toEqual({ blocks, sections }));
+  });
+
+  it('should give data saved before the sections one section per header', () => {
+    expect.assertions(1);
+    return loadData({ parsedData: blocks }).then(data => expect(data.sections).toEqual([
+      { name: 'Setup', path: 'Setup', children: [] },
+      { name: 'Parsing/Comments', path: 'Parsing/Comments', children: [] },
+    ]));
+  });
+
+  it('should put each comment in the section of its header', () => {
+    expect(withComments(sections, blocks)).toEqual([{
+      name: 'Parsing',
+      anchor: 'Parsing',
+      depth: 0,
+      comments: [],
+      children: [{
+        name: 'Comments',
+        anchor: 'Parsing/Comments',
+        depth: 1,
+        comments: [blocks[0]],
+        children: [],
+      }],
+    }, {
+      name: 'Setup',
+      anchor: 'Setup',
+      depth: 0,
+      comments: [blocks[1]],
+      children: [],
+    }]);
+  });
+
+  it('should only put list items straight inside of the sidebar lists', () => {
+    const container = document.createElement('ul');
+    container.innerHTML = renderToStaticMarkup(React.createElement(SideBarSections, {
+      sections: withComments(sections, blocks),
+      configData: { anchorHashJump: 0 },
+    }));
+    expect(container.querySelectorAll('.sidebarHeader').length).toBe(3);
+    expect(container.querySelectorAll('#nameComment').length).toBe(2);
+    expect(container.querySelectorAll('ul > :not(li)').length).toBe(0);
+  });
+});
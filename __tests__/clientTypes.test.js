@@ -0,0 +1,71 @@
+import doctrine from 'doctrine';
+import { typeParts, typeToString } from '../client/src/types';
+
+const print = written => typeToString(doctrine.parseType(written));
+const printParam = written => typeToString(doctrine.parseParamType(written));
+
+describe('type printer', () => {
+  it('should print names and literals', () => {
+    expect(print('Shape')).toBe('Shape');
+    expect(['*', '?', 'null', 'undefined', 'void'].map(print))
+      .toEqual(['*', '?', 'null', 'undefined', 'void']);
+    expect(['"round"', '2', 'true'].map(print)).toEqual(['"round"', '2', 'true']);
+    expect(typeToString(undefined)).toBe('undefined');
+  });
+
+  it('should print type applications, unions and arrays', () => {
+    expect(print('Array.<string>')).toBe('Array.<string>');
+    expect(print('Object<string, Array<number>>')).toBe('Object.<string, Array.<number>>');
+    expect(print('number|string')).toBe('(number|string)');
+    expect(print('[string, number]')).toBe('[string, number]');
+  });
+
+  it('should print records', () => {
+    expect(print('{width: number, height}')).toBe('{width: number, height}');
+    expect(print('{}')).toBe('{}');
+  });
+
+  it('should print functions with their new, this, params and result', () => {
+    expect(print('function()')).toBe('function()');
+    expect(print('function(string, number=): boolean')).toBe('function(string, number=): boolean');
+    expect(print('function(new:Shape, string)')).toBe('function(new: Shape, string)');
+    expect(print('function(this:Canvas): void')).toBe('function(this: Canvas): void');
+    expect(print('function(...number)')).toBe('function(...number)');
+    expect(print('function(shape: Shape)')).toBe('function(shape: Shape)');
+  });
+
+  it('should print optional, nullable, non-nullable and rest types', () => {
+    expect(printParam('string=')).toBe('string=');
+    expect(print('?number')).toBe('?number');
+    expect(print('number?')).toBe('number?');
+    expect(print('!Shape')).toBe('!Shape');
+    expect(print('Shape!')).toBe('Shape!');
+    expect(printParam('...string')).toBe('...string');
+    expect(typeToString({ type: 'RestType' })).toBe('...');
+  });
+
+  it('should print the same types as doctrine', () => {
+    const written = [
+      'Array.<(string|number)>',
+      'function(new:Shape, ...number): ?Shape',
+      '{cb: function(this:Canvas, !Object=): void, size: [number, number]}',
+    ];
+    written.forEach((type) => {
+      const expected = doctrine.type.stringify(doctrine.parseType(type))
+        .replace(/function \(/g, 'function(')
+        .replace(/ \| /g, '|');
+      expect(print(type)).toBe(expected);
+    });
+  });
+
+  it('should mark the parts that name a type so they can be linked', () => {
+    expect(typeParts(doctrine.parseType('Map.<string, Shape>'))).toEqual([
+      { text: 'Map', name: 'Map' },
+      { text: '.<' },
+      { text: 'string', name: 'string' },
+      { text: ', ' },
+      { text: 'Shape', name: 'Shape' },
+      { text: '>' },
+    ]);
+  });
+});
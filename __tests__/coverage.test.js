@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+const { coverage, fileCoverage, formatReport } = require('../src/coverage.js');
+const templateRC = require('../client/dist/.gutenRCTemplate.json');
+
+jest.mock('../src/utils.js');
+
+const readFixture = fileName => fs.readFileSync(`./mockData/${fileName}`, 'utf8');
+
+describe('documentation coverage', () => {
+  it('should count top level functions, classes and class methods', () => {
+    const report = fileCoverage(readFixture('classMembers.js'), 'classMembers.js', templateRC);
+    expect(report.total).toBe(6);
+    expect(report.documented).toBe(4);
+    expect(report.percent).toBe(66.67);
+  });
+
+  it('should list a missing @return with the line of the symbol', () => {
+    const report = fileCoverage(readFixture('classMembers.js'), 'classMembers.js', templateRC);
+    expect(report.missing).toEqual([
+      {
+        name: 'add', kind: 'function', line: 64, problems: ['missing @return'],
+      },
+      {
+        name: 'sub', kind: 'function', line: 78, problems: ['missing @return'],
+      },
+    ]);
+  });
+
+  it('should list parameters without a @param tag', () => {
+    const report = fileCoverage(readFixture('signatures.js'), 'signatures.js', templateRC);
+    expect(report.missing[0].problems).toEqual(['missing @param titles']);
+  });
+
+  it('should report symbols without any JSDoc', () => {
+    const content = 'function a() {}\nclass B {\n  /** Runs */\n  run() {}\n}\n';
+    const report = fileCoverage(content, 'a.js', templateRC);
+    expect(report.missing.map(symbol => [symbol.name, symbol.line, symbol.problems]))
+      .toEqual([['a', 1, ['missing JSDoc']], ['B', 2, ['missing JSDoc']]]);
+  });
+
+  it('should not ask for a @return when a function never returns a value', () => {
+    const content = '/** Logs */\nfunction log() {\n  const inner = () => 1;\n  return;\n}\n';
+    expect(fileCoverage(content, 'a.js', templateRC).missing).toEqual([]);
+  });
+
+  it('should leave a @callback to its own type, like the parse', () => {
+    const report = fileCoverage(readFixture('typedefs.js'), 'typedefs.js', templateRC);
+    expect(report.missing).toEqual([{
+      name: 'format', kind: 'function', line: 13, problems: ['missing JSDoc'],
+    }]);
+  });
+
+  it('should check TypeScript files', () => {
+    const report = fileCoverage(readFixture('shapes.ts'), 'shapes.ts', templateRC);
+    expect(report.percent).toBe(100);
+  });
+
+  it('should total the files it finds and format them', () => {
+    expect.assertions(3);
+    return coverage(['./mockData/signatures.js', './mockData/constFunction.js']).then((report) => {
+      expect(report.files.map(file => file.name))
+        .toEqual(['mockData/constFunction.js', 'mockData/signatures.js']);
+      expect(report.percent).toBe(50);
+      expect(formatReport(report)).toContain('Total: 50% (1/2)');
+    });
+  });
+
+  it('should use the gutenrc it is given', () => {
+    // files are named from the folder above the one holding the gutenrc
+    const absPath = path.resolve('mockData/subFolder').concat('/');
+    const gutenrc = Object.assign({}, templateRC, { absPath });
+    return coverage(['./mockData/constFunction.js'], gutenrc).then((report) => {
+      expect(report.files.map(file => file.name)).toEqual(['constFunction.js']);
+    });
+  });
+
+  it('should fail when there are no files to check', () => {
+    expect.assertions(1);
+    return coverage([]).catch((err) => {
+      expect(err.message).toMatch(/no files were found/);
+    });
+  });
+});
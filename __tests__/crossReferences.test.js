@@ -0,0 +1,80 @@
+const { getAnchors, findLinks, resolveLinks } = require('../src/crossReferences.js');
+const { linkTagPattern, readLinkTag } = require('../src/links.js');
+
+const block = (id, name, extra) => Object.assign({
+  header: 'Shapes',
+  priority: 1,
+  id,
+  description: '',
+  tags: [],
+  name,
+  pathName: 'src/shapes.js',
+}, extra);
+
+const data = [
+  block(0, 'Shape', { kind: 'class', description: 'Has an {@link area} and a {@link Shape#name|name}' }),
+  block(1, 'area', { kind: 'method', memberOf: 'Shape' }),
+  block(2, 'name', { kind: 'property', memberOf: 'Shape' }),
+  block(3, 'area', { kind: 'function', description: 'Not the one on Shape' }),
+  block(4, 'draw', {
+    kind: 'function',
+    tags: [
+      { title: 'param', name: 'shape', type: { type: 'TypeApplication', expression: { type: 'NameExpression', name: 'Array' }, applications: [{ type: 'NameExpression', name: 'Shape' }] } },
+      { title: 'param', name: 'canvas', type: { type: 'NameExpression', name: 'Canvas' } },
+      { title: 'see', description: 'Shape.area for how big it is' },
+      { title: 'see', description: '{@link https://example.com/shapes|the spec}' },
+      { title: 'return', description: 'calls {@linkcode missing}' },
+    ],
+  }),
+];
+
+describe('cross references', () => {
+  it('should key anchors by name and by dotted path with the first block winning', () => {
+    const anchors = getAnchors(data);
+    expect(anchors.Shape).toBe('Shape0');
+    expect(anchors.area).toBe('area1');
+    expect(anchors['Shape.area']).toBe('area1');
+    expect(anchors['Shape.name']).toBe('name2');
+    expect(anchors.constructor).toBeUndefined();
+  });
+
+  it('should resolve links to members of the block before the name on its own', () => {
+    const { blocks } = findLinks(data);
+    expect(blocks[0].links).toEqual({ area: 'area1', 'Shape#name': 'name2' });
+    expect(blocks[1].links).toBeUndefined();
+  });
+
+  it('should resolve @see targets and documented type names', () => {
+    const { blocks } = findLinks(data);
+    expect(blocks[4].links).toEqual({ 'Shape.area': 'area1', Shape: 'Shape0' });
+  });
+
+  it('should warn about links that do not resolve but not about urls or unknown types', () => {
+    const { warnings } = findLinks(data);
+    expect(warnings).toEqual([{ target: 'missing', name: 'draw', pathName: 'src/shapes.js' }]);
+  });
+
+  it('should read every way of writing a {@link} the same as the site', () => {
+    const read = text => readLinkTag(text.match(linkTagPattern));
+    expect(read('{@link Shape}')).toEqual({ target: 'Shape', text: '', code: false });
+    expect(read('{@linkcode area | the area}')).toEqual({ target: 'area', text: 'the area', code: true });
+    expect(read('{@linkplain area the area}')).toEqual({ target: 'area', text: 'the area', code: false });
+    expect(read('[the name]{@link Shape#name}')).toEqual({ target: 'Shape#name', text: 'the name', code: false });
+    const labelled = [block(0, 'docs', { description: 'Has [a name]{@link Shape#name}' })].concat(data);
+    expect(findLinks(labelled).blocks[0].links).toEqual({ 'Shape#name': 'name2' });
+  });
+
+  it('should only leave http and https urls unresolved, the same as the site', () => {
+    const links = [block(0, 'docs', { description: 'See {@link ftp://example.com/docs} and {@link https://example.com}' })];
+    expect(findLinks(links).warnings.map(warning => warning.target)).toEqual(['ftp://example.com/docs']);
+  });
+
+  it('should only log the warnings when verbosity is 1 or more', () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    resolveLinks(data, { verbosity: 0 });
+    expect(log).not.toHaveBeenCalled();
+    resolveLinks(data, { verbosity: 1 });
+    expect(log).toHaveBeenCalledWith('missing linked from draw in src/shapes.js');
+    log.mockRestore();
+  });
+});
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  loadParse,
+  diffAPIs,
+  formatText,
+  formatMarkdown,
+} = require('../src/diff.js');
+const { createProject, removeProjects } = require('./helpers/tempProject.js');
+
+jest.mock('../src/utils.js');
+
+const nameType = name => ({ type: 'NameExpression', name });
+const block = (name, extra) => Object.assign({
+  header: 'Shapes',
+  priority: 1,
+  id: 0,
+  tags: [],
+  name,
+  kind: 'function',
+  pathName: 'proj/shapes.js',
+}, extra);
+
+const oldBlocks = [
+  block('area', {
+    kind: 'method',
+    memberOf: 'Shape',
+    tags: [{ title: 'param', name: 'unit', type: nameType('string') }, { title: 'return', type: nameType('number') }],
+  }),
+  block('draw', { params: [{ name: 'shape', documented: false }] }),
+  block('scale'),
+  block('SIDES', { kind: 'constant', tags: [{ title: 'type', type: nameType('number') }] }),
+];
+
+const newBlocks = [
+  block('area', {
+    kind: 'method',
+    memberOf: 'Shape',
+    tags: [
+      { title: 'param', name: 'unit', type: nameType('string') },
+      { title: 'param', name: 'precision', type: nameType('number') },
+      { title: 'return', type: nameType('string') },
+    ],
+  }),
+  block('draw', { params: [{ name: 'shape', documented: false }], tags: [{ title: 'deprecated', description: 'use render' }] }),
+  block('render'),
+  block('SIDES', { kind: 'constant', tags: [{ title: 'type', type: nameType('bigint') }] }),
+  block('area', { pathName: 'proj/area.js' }),
+];
+
+describe('api diff', () => {
+  const diff = diffAPIs(oldBlocks, newBlocks);
+
+  afterEach(removeProjects);
+
+  it('should find added and removed symbols by path, memberOf and name', () => {
+    expect(diff.added).toEqual([
+      { name: 'render', kind: 'function', pathName: 'proj/shapes.js' },
+      { name: 'area', kind: 'function', pathName: 'proj/area.js' },
+    ]);
+    expect(diff.removed).toEqual([{ name: 'scale', kind: 'function', pathName: 'proj/shapes.js' }]);
+  });
+
+  it('should list the changed parameters and types', () => {
+    expect(diff.changed).toEqual([{
+      name: 'Shape.area',
+      kind: 'method',
+      pathName: 'proj/shapes.js',
+      changes: [
+        { what: 'params', before: 'unit: string', after: 'unit: string, precision: number' },
+        { what: 'returns', before: 'number', after: 'string' },
+      ],
+    }, {
+      name: 'SIDES',
+      kind: 'constant',
+      pathName: 'proj/shapes.js',
+      changes: [{ what: 'type', before: 'number', after: 'bigint' }],
+    }]);
+  });
+
+  it('should compare the signature when it is the only thing that changed', () => {
+    const tags = [{ title: 'param', name: 'shape', type: nameType('Shape') }];
+    const before = block('resize', { params: [{ name: 'shape', documented: true }], tags });
+    const after = block('resize', {
+      params: [{ name: 'shape', documented: true }, { name: 'factor', type: 'number', documented: false }],
+      tags,
+    });
+    expect(diffAPIs([before], [after]).changed).toEqual([{
+      name: 'resize',
+      kind: 'function',
+      pathName: 'proj/shapes.js',
+      changes: [{ what: 'params', before: 'shape: Shape', after: 'shape: Shape, factor: number' }],
+    }]);
+  });
+
+  it('should list newly deprecated symbols with the reason', () => {
+    expect(diff.deprecated).toEqual([{
+      name: 'draw', kind: 'function', pathName: 'proj/shapes.js', reason: 'use render',
+    }]);
+    expect(diffAPIs(newBlocks, newBlocks).deprecated).toEqual([]);
+  });
+
+  it('should format the diff as text and markdown', () => {
+    const text = formatText(diff);
+    expect(text).toContain('  ~ method Shape.area\tproj/shapes.js\n      Parameters: unit: string -> unit: string, precision: number\n      Returns: number -> string');
+    expect(text).toContain('2 added, 1 removed, 2 changed, 1 deprecated');
+    const markdown = formatMarkdown(diff);
+    expect(markdown).toMatch(/^## API changes\n/);
+    expect(markdown).toContain('### Deprecated\n\n- `draw` (function)\n  - use render');
+    expect(formatText(diffAPIs(oldBlocks, oldBlocks))).toBe('No changes to the API');
+  });
+
+  it('should load parses by version label, folder or file', () => {
+    const { projectDir, gutenrc } = createProject('gutendiff-');
+    const apiPath = path.join(projectDir, 'GutenApi');
+    fs.mkdirSync(path.join(apiPath, 'versions', '1.0.0'), { recursive: true });
+    fs.writeFileSync(path.join(apiPath, 'versions.json'), JSON.stringify({ versions: [{ label: '1.0.0', path: 'versions/1.0.0/' }] }));
+    fs.writeFileSync(path.join(apiPath, 'versions', '1.0.0', 'parsedData.json'), JSON.stringify({ blocks: oldBlocks }));
+    // parsedData.js from before the data was only set on the window
+    fs.writeFileSync(path.join(apiPath, 'parsedData.js'),
+      `const parsedData = ${JSON.stringify(newBlocks)};\n\nwindow.parsedData = parsedData;`);
+    expect(loadParse('1.0.0', gutenrc)).toEqual(oldBlocks);
+    expect(loadParse('latest', gutenrc)).toEqual(newBlocks);
+    expect(loadParse(apiPath, gutenrc)).toEqual(newBlocks);
+    expect(loadParse(path.join(apiPath, 'parsedData.js'), gutenrc)).toEqual(newBlocks);
+    expect(() => loadParse('2.0.0', gutenrc)).toThrow(/no saved parse or version called 2.0.0/);
+  });
+});
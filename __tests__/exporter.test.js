@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const { buildSingleFile } = require('../src/exporter.js');
+const { createProject, removeProjects } = require('./helpers/tempProject.js');
+
+const pixel = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+describe('single file export', () => {
+  let gutenrc;
+  let apiPath;
+
+  beforeEach(() => {
+    const project = createProject('gutenexport-');
+    ({ gutenrc } = project);
+    const { projectDir } = project;
+    apiPath = path.join(projectDir, 'GutenApi');
+    fs.mkdirSync(apiPath);
+    fs.mkdirSync(path.join(apiPath, 'imgs'));
+    fs.writeFileSync(path.join(apiPath, 'imgs', 'logo.png'), Buffer.from(pixel, 'base64'));
+    fs.writeFileSync(path.join(apiPath, 'index.html'), [
+      '<link rel="stylesheet" type="text/css" href="styles.css" />',
+      '<link rel="stylesheet" href="https://example.com/remote.css">',
+      '<script type="text/javascript" src="./designSettings.js"></script>',
+      '<script type="text/javascript" src="./parsedData.js"></script>',
+      '<script type="text/javascript" src="./versions.js"></script>',
+      '<script type="text/javascript" src="./bundle.js"></script>',
+    ].join('\n'));
+    fs.writeFileSync(path.join(apiPath, 'styles.css'), ".logo { background: url('imgs/logo.png'); }");
+    fs.writeFileSync(path.join(apiPath, 'designSettings.js'),
+      "const configData = { banner: { src: './imgs/logo.png' } };\ntry {\n  window.configData = configData;\n} catch (error) {\n  module.exports = configData;\n}");
+    fs.writeFileSync(path.join(apiPath, 'parsedData.js'), 'window.parsedData = [];');
+    fs.writeFileSync(path.join(apiPath, 'bundle.js'), "document.write('</script>');");
+  });
+
+  afterEach(removeProjects);
+
+  it('should inline the local scripts and stylesheets', () => {
+    const html = buildSingleFile(gutenrc);
+    expect(html).not.toMatch(/src="\.\//);
+    expect(html).not.toMatch(/href="styles.css"/);
+    expect(html).toContain('window.parsedData = [];');
+    expect(html).toContain('https://example.com/remote.css');
+  });
+
+  it('should embed images from the css and the design settings', () => {
+    const html = buildSingleFile(gutenrc);
+    expect(html).toContain(`url("data:image/png;base64,${pixel}")`);
+    expect(html).toContain(`"src": "data:image/png;base64,${pixel}"`);
+  });
+
+  it('should leave out the other versions of the API', () => {
+    expect(buildSingleFile(gutenrc)).not.toContain('versions');
+  });
+
+  it('should escape closing tags inside of inlined scripts', () => {
+    expect(buildSingleFile(gutenrc)).toContain("document.write('<\\/script>');");
+  });
+
+  it('should fall back to parsedData.json when only the json was saved', () => {
+    fs.unlinkSync(path.join(apiPath, 'parsedData.js'));
+    fs.writeFileSync(path.join(apiPath, 'parsedData.json'), '{ "blocks": [] }');
+    expect(buildSingleFile(gutenrc)).toContain('window.parsedData = { "blocks": [] };');
+  });
+
+  it('should explain which file is missing', () => {
+    fs.unlinkSync(path.join(apiPath, 'bundle.js'));
+    expect(() => buildSingleFile(gutenrc)).toThrow(/bundle.js is missing/);
+  });
+});
@@ -5,14 +5,146 @@ jest.mock('../src/utils.js');
 /* eslint-disable-next-line no-console */
 console.log = jest.fn();
 
+const classMembers = {
+  content: [{
+    comment: '*\n * A shape\n ',
+    name: 'Shape',
+    kind: 'class',
+    line: 4,
+    endLine: 25,
+  }, {
+    comment: '*\n   * Number of sides\n   ',
+    name: 'sides',
+    memberOf: 'Shape',
+    kind: 'property',
+    line: 8,
+    endLine: 8,
+  }, {
+    comment: '*\n   * Creates a shape\n   * @param {string} name  Name of the shape\n   ',
+    name: 'constructor',
+    memberOf: 'Shape',
+    kind: 'method',
+    line: 14,
+    endLine: 16,
+    params: [{ name: 'name' }],
+  }, {
+    comment: '*\n   * Calculates the area\n   * @return {number}\n   ',
+    name: 'area',
+    memberOf: 'Shape',
+    kind: 'method',
+    line: 22,
+    endLine: 24,
+    params: [],
+  }, {
+    comment: '*\n * Helpers for shapes\n ',
+    name: 'shapeUtils',
+    kind: 'constant',
+    line: 30,
+    endLine: 49,
+  }, {
+    comment: '*\n   * Checks if a value is a shape\n   * @param {*} value  Value to check\n   ',
+    name: 'isShape',
+    memberOf: 'shapeUtils',
+    kind: 'method',
+    line: 35,
+    endLine: 37,
+    params: [{ name: 'value' }],
+  }, {
+    comment: '*\n   * The unit used for measurements\n   ',
+    name: 'unit',
+    memberOf: 'shapeUtils',
+    kind: 'property',
+    line: 41,
+    endLine: 41,
+  }, {
+    comment: '*\n     * Converts centimeters to inches\n     * @param {number} cm  Length in centimeters\n     ',
+    name: 'toInches',
+    memberOf: 'shapeUtils.convert',
+    kind: 'method',
+    line: 47,
+    endLine: 47,
+    params: [{ name: 'cm' }],
+  }, {
+    comment: '*\n * Calculates the perimeter\n * @return {number}\n ',
+    name: 'perimeter',
+    memberOf: 'Shape',
+    kind: 'method',
+    line: 55,
+    endLine: 57,
+    params: [],
+  }, {
+    comment: '*\n * Adds two numbers\n * @param {number} a  First addend\n * @param {number} b  Second addend\n ',
+    name: 'add',
+    kind: 'function',
+    line: 64,
+    endLine: 66,
+    params: [{ name: 'a' }, { name: 'b' }],
+  }, {
+    comment: '*\n * Default precision\n ',
+    name: 'default',
+    kind: 'constant',
+    line: 71,
+    endLine: 71,
+  }, {
+    comment: '*\n * Subtracts two numbers\n * @param {number} a  Minuend\n * @param {number} b  Subtrahend\n ',
+    name: 'sub',
+    kind: 'function',
+    line: 78,
+    endLine: 78,
+    params: [{ name: 'a' }, { name: 'b' }],
+  }],
+  name: 'mockData/classMembers.js',
+  hash: expect.any(String),
+};
+
+const signatures = {
+  content: [{
+    comment: '*\n * Formats the name of a person\n * @param {Object} person  The person to format\n * @param {string} person.first  First name\n * @param {string} person.last  Last name\n * @param {string} separator  Placed between each part of the name\n * @return {string}\n ',
+    name: 'formatName',
+    kind: 'function',
+    line: 9,
+    endLine: 11,
+    params: [
+      { name: '{ first, last }', destructured: true },
+      { name: 'separator', default: "' '" },
+      { name: 'titles', rest: true },
+    ],
+  }],
+  name: 'mockData/signatures.js',
+  hash: expect.any(String),
+};
+
+const typedefs = {
+  content: [{
+    comment: '*\n * The parts of a name\n * @typedef {Object} NameParts\n * @property {string} first  First name\n * @property {string} last  Last name\n ',
+    name: 'NameParts',
+    kind: 'typedef',
+    line: 1,
+    endLine: 6,
+  }, {
+    comment: '*\n * Called once the name is formatted\n * @callback onFormatted\n * @param {string} name  The formatted name\n ',
+    name: 'onFormatted',
+    kind: 'typedef',
+    line: 8,
+    endLine: 12,
+  }],
+  name: 'mockData/typedefs.js',
+  hash: expect.any(String),
+};
+
 test('Single comment test', () => {
   const address = ['./mockData/singleComment.js'];
   const expected = [{
     content: [{
       comment: '*\n * Sample function\n * @constructor\n * @param {number} a  First multiplier\n * @param {number} b  Second multiplier\n * @return\n ',
       name: 'mul',
+      kind: 'function',
+      line: 20,
+      endLine: 22,
+      params: [{ name: 'a' }, { name: 'b' }],
     }],
     name: 'mockData/singleComment.js',
+    hash: expect.any(String),
   }];
   expect.assertions(1);
   return extract(address).then((received) => {
@@ -26,11 +158,20 @@ test('Multiple comments test', () => {
     content: [{
       comment: '*\n * Sample function\n * @constructor\n * @param {number} a  First multiplier\n * @param {number} b  Second multiplier\n * @return\n ',
       name: 'mul',
+      kind: 'function',
+      line: 9,
+      endLine: 11,
+      params: [{ name: 'a' }, { name: 'b' }],
     }, {
       comment: '*\n * Sample function\n * @constructor\n * @param {number} a  Numerator\n * @param {number} b  Denominator\n * @return\n ',
       name: 'div',
+      kind: 'function',
+      line: 21,
+      endLine: 23,
+      params: [{ name: 'a' }, { name: 'b' }],
     }],
     name: 'mockData/subFolder/multipleComments.js',
+    hash: expect.any(String),
   }];
   expect.assertions(1);
   return extract(address).then((received) => {
@@ -44,8 +185,13 @@ test('Declare function as a const', () => {
     content: [{
       comment: '*\n * Sample function\n * @constructor\n * @param {number} a  First multiplier\n * @param {number} b  Second multiplier\n * @return\n ',
       name: 'mul',
+      kind: 'function',
+      line: 8,
+      endLine: 10,
+      params: [{ name: 'a' }, { name: 'b' }],
     }],
     name: 'mockData/constFunction.js',
+    hash: expect.any(String),
   }];
   expect.assertions(1);
   return extract(address).then((received) => {
@@ -59,8 +205,13 @@ test('Arrow Function test', () => {
     content: [{
       comment: '*\n * Sample function\n * @constructor\n * @param {number} a  First multiplier\n * @param {number} b  Second multiplier\n * @return\n ',
       name: 'mul',
+      kind: 'function',
+      line: 9,
+      endLine: 9,
+      params: [{ name: 'message' }],
     }],
     name: 'mockData/subFolder/moreFolder/arrowExpression.js',
+    hash: expect.any(String),
   }];
   expect.assertions(1);
   return extract(address).then((received) => {
@@ -74,17 +225,31 @@ test('should work for a folder and only process js and jsx file', () => {
     content: [{
       comment: '*\n * Sample function\n * @constructor\n * @param {number} a  First multiplier\n * @param {number} b  Second multiplier\n * @return\n ',
       name: 'mul',
+      kind: 'function',
+      line: 9,
+      endLine: 9,
+      params: [{ name: 'message' }],
     }],
     name: 'mockData/subFolder/moreFolder/arrowExpression.js',
+    hash: expect.any(String),
   }, {
     content: [{
       comment: '*\n * Sample function\n * @constructor\n * @param {number} a  First multiplier\n * @param {number} b  Second multiplier\n * @return\n ',
       name: 'mul',
+      kind: 'function',
+      line: 9,
+      endLine: 11,
+      params: [{ name: 'a' }, { name: 'b' }],
     }, {
       comment: '*\n * Sample function\n * @constructor\n * @param {number} a  Numerator\n * @param {number} b  Denominator\n * @return\n ',
       name: 'div',
+      kind: 'function',
+      line: 21,
+      endLine: 23,
+      params: [{ name: 'a' }, { name: 'b' }],
     }],
     name: 'mockData/subFolder/multipleComments.js',
+    hash: expect.any(String),
   }];
   expect.assertions(1);
   return extract(address).then((received) => {
@@ -98,8 +263,13 @@ test('should work for jsx', () => {
     content: [{
       comment: '*\n * @description displays the info about the field\n * @param props.data.fieldName the name of the field\n * @param props.data.notes the notes on the field\n ',
       name: 'FieldInfo',
+      kind: 'function',
+      line: 11,
+      endLine: 22,
+      params: [{ name: '{ data }', destructured: true }],
     }],
     name: 'mockData/arrowExpression.jsx',
+    hash: expect.any(String),
   }];
   expect.assertions(1);
   return extract(address).then((received) => {
@@ -107,36 +277,84 @@ test('should work for jsx', () => {
   });
 });
 
+test('should work for classes, object literals and exports', () => {
+  const address = ['./mockData/classMembers.js'];
+  expect.assertions(1);
+  return extract(address).then((received) => {
+    expect(received).toEqual([classMembers]);
+  });
+});
+
+test('should record the parameters from the signature', () => {
+  const address = ['./mockData/signatures.js'];
+  expect.assertions(1);
+  return extract(address).then((received) => {
+    expect(received).toEqual([signatures]);
+  });
+});
+
+test('should name typedefs and callbacks after the type they declare', () => {
+  const address = ['./mockData/typedefs.js'];
+  expect.assertions(1);
+  return extract(address).then((received) => {
+    expect(received).toEqual([typedefs]);
+  });
+});
+
 test('should work for glob pattern', () => {
   const address = ['./mockData/**/*.js'];
-  const expected = [{
+  const expected = [classMembers, {
     content: [{
       comment: '*\n * Sample function\n * @constructor\n * @param {number} a  First multiplier\n * @param {number} b  Second multiplier\n * @return\n ',
       name: 'mul',
+      kind: 'function',
+      line: 8,
+      endLine: 10,
+      params: [{ name: 'a' }, { name: 'b' }],
     }],
     name: 'mockData/constFunction.js',
-  }, {
+    hash: expect.any(String),
+  }, signatures, {
     content: [{
       comment: '*\n * Sample function\n * @constructor\n * @param {number} a  First multiplier\n * @param {number} b  Second multiplier\n * @return\n ',
       name: 'mul',
+      kind: 'function',
+      line: 20,
+      endLine: 22,
+      params: [{ name: 'a' }, { name: 'b' }],
     }],
     name: 'mockData/singleComment.js',
+    hash: expect.any(String),
   }, {
     content: [{
       comment: '*\n * Sample function\n * @constructor\n * @param {number} a  First multiplier\n * @param {number} b  Second multiplier\n * @return\n ',
       name: 'mul',
+      kind: 'function',
+      line: 9,
+      endLine: 9,
+      params: [{ name: 'message' }],
     }],
     name: 'mockData/subFolder/moreFolder/arrowExpression.js',
+    hash: expect.any(String),
   }, {
     content: [{
       comment: '*\n * Sample function\n * @constructor\n * @param {number} a  First multiplier\n * @param {number} b  Second multiplier\n * @return\n ',
       name: 'mul',
+      kind: 'function',
+      line: 9,
+      endLine: 11,
+      params: [{ name: 'a' }, { name: 'b' }],
     }, {
       comment: '*\n * Sample function\n * @constructor\n * @param {number} a  Numerator\n * @param {number} b  Denominator\n * @return\n ',
       name: 'div',
+      kind: 'function',
+      line: 21,
+      endLine: 23,
+      params: [{ name: 'a' }, { name: 'b' }],
     }],
     name: 'mockData/subFolder/multipleComments.js',
-  }];
+    hash: expect.any(String),
+  }, typedefs];
   expect.assertions(1);
   return extract(address).then((received) => {
     expect(received).toEqual(expected);
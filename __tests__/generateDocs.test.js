@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+const { generateDocs } = require('../index.js');
+const { createProject, removeProjects } = require('./helpers/tempProject.js');
+
+// the settings should only come from the options, never from a .gutenrc.json
+jest.mock('../src/utils.js', () => ({
+  getRC: () => { throw new Error('getRC should not be called'); },
+}));
+
+describe('generateDocs', () => {
+  it('should resolve to the sorted blocks using only the options given', () => {
+    expect.assertions(3);
+    return generateDocs({
+      root: path.join(__dirname, '../mockData'),
+      config: { verbosity: 0 },
+      input: ['signatures.js'],
+    }).then((blocks) => {
+      expect(blocks.map(block => block.name)).toEqual(['formatName']);
+      expect(blocks[0].pathName).toBe('mockData/signatures.js');
+      expect(blocks[0].header).toBe('signatures.js');
+    });
+  });
+
+  it('should record where each block is and link to it with the sourceUrl', () => {
+    expect.assertions(2);
+    return generateDocs({
+      root: path.join(__dirname, '../mockData'),
+      config: { verbosity: 0, sourceUrl: 'https://example.com/{path}#L{line}' },
+      input: ['signatures.js'],
+    }).then((blocks) => {
+      expect(blocks[0]).toMatchObject({ line: 9, endLine: 11 });
+      expect(blocks[0].source).toBe('https://example.com/signatures.js#L9');
+    });
+  });
+
+  it('should use the sorters from the config', () => {
+    expect.assertions(1);
+    return generateDocs({
+      root: path.join(__dirname, '../mockData'),
+      config: {
+        verbosity: 0,
+        skeleton: { sortByOrder: [], catchAll: { section: 'Everything' } },
+      },
+      input: ['signatures.js', 'constFunction.js'],
+    }).then((blocks) => {
+      expect(blocks.map(block => block.header)).toEqual(['Everything', 'Everything']);
+    });
+  });
+
+  it('should keep the other sorter settings when only some are given', () => {
+    expect.assertions(1);
+    return generateDocs({
+      root: path.join(__dirname, '../mockData'),
+      config: { verbosity: 0, skeleton: { sortByOrder: ['sortByFileName'] } },
+      input: ['signatures.js'],
+    }).then((blocks) => {
+      expect(blocks[0].header).toBe('signatures.js');
+    });
+  });
+
+  describe('saving', () => {
+    afterEach(removeProjects);
+
+    it('should have written the data when it resolves', () => {
+      expect.assertions(2);
+      const { projectDir } = createProject('generateDocs-');
+      fs.mkdirSync(path.join(projectDir, 'GutenApi'));
+      fs.copyFileSync(
+        path.join(__dirname, '../mockData/signatures.js'),
+        path.join(projectDir, 'signatures.js'),
+      );
+      return generateDocs({
+        root: projectDir,
+        config: { verbosity: 0 },
+        input: ['signatures.js'],
+        save: true,
+      }).then(() => {
+        const saved = fs.readFileSync(path.join(projectDir, 'GutenApi/parsedData.json'), 'utf8');
+        expect(JSON.parse(saved).blocks[0].name).toBe('formatName');
+        expect(fs.existsSync(path.join(projectDir, 'GutenApi/parsedData.js'))).toBe(true);
+      });
+    });
+
+    it('should reject when the data can not be written', () => {
+      expect.assertions(1);
+      const { projectDir } = createProject('generateDocs-');
+      fs.copyFileSync(
+        path.join(__dirname, '../mockData/signatures.js'),
+        path.join(projectDir, 'signatures.js'),
+      );
+      return generateDocs({
+        root: projectDir,
+        config: { verbosity: 0 },
+        input: ['signatures.js'],
+        save: true,
+      }).catch((err) => {
+        expect(err.code).toBe('ENOENT');
+      });
+    });
+  });
+});
@@ -0,0 +1,43 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const templateRC = require('../../client/dist/.gutenRCTemplate.json');
+
+const created = [];
+
+/**
+ * @description Makes an empty project folder in the temp folder, removed by removeProjects
+ * @param { string } prefix the start of the folder name, so a leftover folder shows which
+ * test made it
+ * @param { object } settings gutenrc settings to use instead of the template's
+ * @return { object } { projectDir, gutenrc } where gutenrc is the template pointed at the
+ * folder
+ */
+const createProject = (prefix, settings) => {
+  const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  created.push(projectDir);
+  const gutenrc = Object.assign({}, templateRC, { absPath: projectDir.concat('/') }, settings);
+  return { projectDir, gutenrc };
+};
+
+/**
+ * @description Deletes a folder and everything in it
+ * @param { string } target the folder or file to delete
+ */
+const remove = (target) => {
+  if (!fs.existsSync(target)) return;
+  if (fs.lstatSync(target).isDirectory()) {
+    fs.readdirSync(target).forEach(child => remove(path.join(target, child)));
+    fs.rmdirSync(target);
+  } else fs.unlinkSync(target);
+};
+
+/**
+ * @description Deletes every folder made by createProject, for afterEach
+ */
+const removeProjects = () => {
+  created.splice(0).forEach(remove);
+};
+
+module.exports.createProject = createProject;
+module.exports.removeProjects = removeProjects;
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const { lint, lintFile, formatDiagnostics } = require('../src/lint.js');
+const templateRC = require('../client/dist/.gutenRCTemplate.json');
+
+jest.mock('../src/utils.js');
+
+const badComment = `/**
+ * Bad one
+ * @param {string name
+ * @param {number} a first
+ * @param {number} a again
+ * @param {number} c not real
+ * @retrun nothing
+ * @section utils
+ * @returns {number} nothing
+ * @order 1
+ */
+function bad(a, b) {
+  console.log(a, b);
+}
+`;
+
+describe('linting JSDoc comments', () => {
+  it('should report each problem with its line and rule', () => {
+    expect(lintFile(badComment, 'bad.js', templateRC).map(({ line, rule, severity }) => [line, rule, severity]))
+      .toEqual([
+        [3, 'malformed-type', 'error'],
+        [5, 'duplicate-param', 'error'],
+        [6, 'param-mismatch', 'error'],
+        [7, 'unknown-tag', 'warn'],
+        [9, 'return-without-value', 'warn'],
+      ]);
+  });
+
+  it('should use the severities from the gutenrc', () => {
+    const gutenrc = Object.assign({}, templateRC, {
+      lint: { rules: { 'unknown-tag': 'off', 'malformed-type': 'warn' } },
+    });
+    expect(lintFile(badComment, 'bad.js', gutenrc).map(({ rule, severity }) => [rule, severity]))
+      .toEqual([
+        ['malformed-type', 'warn'],
+        ['duplicate-param', 'error'],
+        ['param-mismatch', 'error'],
+        ['return-without-value', 'warn'],
+      ]);
+  });
+
+  it('should report tag errors that are not about the type as malformed-tag', () => {
+    const content = '/**\n * Greets\n * @param\n * @access nowhere\n */\nfunction greet(name) {\n  console.log(name);\n}\n';
+    const gutenrc = Object.assign({}, templateRC, { lint: { rules: { 'malformed-type': 'off' } } });
+    expect(lintFile(content, 'greet.js', gutenrc).map(({ line, rule }) => [line, rule]))
+      .toEqual([[3, 'malformed-tag'], [4, 'malformed-tag']]);
+  });
+
+  it('should not check a @callback against the code after it', () => {
+    const content = fs.readFileSync('./mockData/typedefs.js', 'utf8');
+    expect(lintFile(content, 'typedefs.js', templateRC)).toEqual([]);
+  });
+
+  it('should allow custom tags', () => {
+    const gutenrc = Object.assign({}, templateRC, { lint: { customTags: ['@retrun'] } });
+    expect(lintFile(badComment, 'bad.js', gutenrc).map(({ rule }) => rule)).not.toContain('unknown-tag');
+  });
+
+  it('should reject unknown severities', () => {
+    const gutenrc = Object.assign({}, templateRC, { lint: { rules: { 'unknown-tag': 'loud' } } });
+    expect(() => lintFile(badComment, 'bad.js', gutenrc)).toThrow(/unknown-tag/);
+  });
+
+  it('should accept destructured params, async functions and TypeScript return types', () => {
+    const content = `/**
+ * @param {Object} opts options
+ * @param {number} opts.size size
+ * @return {number} size
+ */
+const good = ({ size }) => size;
+
+/**
+ * @return {Promise} done
+ */
+async function wait() { await 1; }
+
+/**
+ * @return
+ */
+function count(): number { return 1; }
+`;
+    expect(lintFile(content, 'good.ts', templateRC)).toEqual([]);
+  });
+
+  it('should lint the files it finds and format the results', () => {
+    expect.assertions(2);
+    return lint(['./mockData/signatures.js', './mockData/classMembers.js']).then((report) => {
+      expect(report.errors + report.warnings).toBe(0);
+      expect(formatDiagnostics(report)).toContain('0 problems (0 errors, 0 warnings)');
+    });
+  });
+});
@@ -0,0 +1,118 @@
+const { toMarkdown } = require('../src/markdown.js');
+
+const data = [
+  {
+    header: 'Math Helpers',
+    priority: 2,
+    id: 0,
+    description: 'Adds two numbers',
+    tags: [
+      {
+        title: 'param', name: 'a', type: { type: 'NameExpression', name: 'number' }, description: 'first | left',
+      },
+      { title: 'return', type: { type: 'NameExpression', name: 'number' }, description: 'the sum' },
+      { title: 'example', description: 'add(1, 2); // 3' },
+    ],
+    name: 'add',
+    kind: 'function',
+    params: [
+      { name: 'a', documented: true },
+      { name: 'b', default: '0', documented: false },
+    ],
+    pathName: 'src/math.js',
+  },
+  {
+    header: 'Shapes',
+    priority: 1,
+    id: 1,
+    description: 'The number of sides',
+    tags: [],
+    name: 'sides',
+    kind: 'property',
+    memberOf: 'Shape',
+    pathName: 'src/shape.js',
+  },
+];
+
+describe('markdown output', () => {
+  it('should put the headers in priority order with a table of contents', () => {
+    const api = toMarkdown(data)['API.md'];
+    expect(api).toContain('- [Shapes](#shapes)\n- [Math Helpers](#math-helpers)');
+    expect(api.indexOf('## Shapes')).toBeLessThan(api.indexOf('## Math Helpers'));
+  });
+
+  it('should number the contents links the same way as the headings they point at', () => {
+    const repeated = data.map(block => Object.assign({}, block, { header: 'API' }));
+    const api = toMarkdown(repeated.concat({
+      header: 'Shape.sides', priority: 3, id: 2, tags: [], name: 'area', kind: 'function',
+    }))['API.md'];
+    expect(api).toContain('- [API](#api-1)\n- [Shape.sides](#shapesides-1)');
+  });
+
+  it('should render params and returns as tables', () => {
+    const api = toMarkdown(data)['API.md'];
+    expect(api).toContain('### add(a, [b=0])');
+    expect(api).toContain('| a | `number` | first \\| left |');
+    expect(api).toContain('| b |  | Not documented, defaults to `0` |');
+    expect(api).toContain('| `number` | the sum |');
+  });
+
+  it('should render examples as fenced code', () => {
+    expect(toMarkdown(data)['API.md']).toContain('```js\nadd(1, 2); // 3\n```');
+  });
+
+  it('should put the caption of an example above it', () => {
+    const captioned = [Object.assign({}, data[0], {
+      tags: [{ title: 'example', caption: 'Adding numbers', description: 'add(1, 2);' }],
+    })];
+    expect(toMarkdown(captioned)['API.md']).toContain('*Adding numbers*\n\n```js\nadd(1, 2);\n```');
+  });
+
+  it('should only add parameters to callable symbols', () => {
+    expect(toMarkdown(data)['API.md']).toContain('### Shape.sides\n');
+  });
+
+  it('should give each header its own file when split', () => {
+    const files = toMarkdown(data, true);
+    expect(Object.keys(files).sort()).toEqual(['API.md', 'Math-Helpers.md', 'Shapes.md']);
+    expect(files['API.md']).toContain('- [Math Helpers](Math-Helpers.md)');
+    expect(files['Shapes.md']).toMatch(/^## Shapes/);
+  });
+
+  it('should number split files whose headers come out with the same name', () => {
+    const clashing = data.concat(Object.assign({}, data[1], { header: 'Shapes!', id: 2 }));
+    const files = toMarkdown(clashing, true);
+    expect(Object.keys(files).sort()).toEqual(['API.md', 'Math-Helpers.md', 'Shapes-2.md', 'Shapes.md']);
+    expect(files['Shapes-2.md']).toMatch(/^## Shapes!/);
+  });
+
+  it('should show classes with the parameters of their constructor', () => {
+    const shape = [
+      {
+        header: 'Shapes', priority: 1, id: 0, description: '', tags: [], name: 'Shape', kind: 'class', pathName: 'src/shape.js',
+      },
+      {
+        header: 'Shapes', priority: 1, id: 1, description: '', tags: [], name: 'constructor', kind: 'method', memberOf: 'Shape', params: [{ name: 'name' }], pathName: 'src/shape.js',
+      },
+    ];
+    expect(toMarkdown(shape)['API.md']).toContain('### Shape(name)\n');
+  });
+
+  it('should turn {@link} tags into links to the heading they resolved to', () => {
+    const linking = data.concat({
+      header: 'Shapes',
+      priority: 1,
+      id: 2,
+      description: 'Uses {@link add|adding}, [the spec]{@link https://example.com} and {@link missing}',
+      tags: [],
+      name: 'area',
+      kind: 'function',
+      params: [],
+      pathName: 'src/shape.js',
+      links: { add: 'add0' },
+    });
+    expect(toMarkdown(linking)['API.md'])
+      .toContain('Uses [adding](#adda-b0), [the spec](https://example.com) and `missing`');
+    expect(toMarkdown(linking, true)['Shapes.md']).toContain('[adding](Math-Helpers.md#adda-b0)');
+  });
+});
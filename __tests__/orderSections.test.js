@@ -0,0 +1,111 @@
+const {
+  getOrderTag,
+  getEntryOrder,
+  orderSections,
+  getSectionTree,
+} = require('../src/sorters/orderSections.js');
+
+const block = (name, headerPath, extra) => Object.assign({
+  header: headerPath.join('/'),
+  headerPath,
+  priority: 1,
+  description: '',
+  tags: [],
+  name,
+  pathName: 'proj/src/index.js',
+}, extra);
+
+const order = number => [{ title: 'order', description: String(number) }];
+
+const data = [
+  block('zip', ['Utilities'], { priority: 3, line: 10 }),
+  block('parse', ['Parsing', 'Comments'], { priority: 1, line: 20 }),
+  block('apply', ['Utilities'], { priority: 3, line: 30 }),
+  block('walk', ['Parsing'], { priority: 1, pathName: 'proj/src/a.js', line: 40 }),
+  block('setup', ['Getting Started'], { priority: 2, line: 50 }),
+  block('extract', ['Parsing', 'Files'], { priority: 1, line: 60 }),
+];
+
+const names = blocks => blocks.map(found => found.name);
+
+describe('orderSections', () => {
+  it('should read the number of the @order tag', () => {
+    expect(getOrderTag({ tags: order(2) })).toBe(2);
+    expect(getOrderTag({ tags: [{ title: 'order', description: 'first' }] })).toBeUndefined();
+    expect(getOrderTag({ tags: [] })).toBeUndefined();
+  });
+
+  it('should order sections by priority and entries by their place in the code by default', () => {
+    expect(names(orderSections(data, {})))
+      .toEqual(['walk', 'parse', 'extract', 'setup', 'zip', 'apply']);
+  });
+
+  it('should put the sections in sectionOrder first, including nested ones', () => {
+    const gutenRC = { sectionOrder: ['Getting Started', 'Parsing/Files', 'Utilities'] };
+    expect(names(orderSections(data, gutenRC)))
+      .toEqual(['setup', 'walk', 'extract', 'parse', 'zip', 'apply']);
+  });
+
+  it('should give every section the priority of its place in the order', () => {
+    const ordered = orderSections(data, { sectionOrder: ['Utilities'] });
+    expect(ordered.map(found => [found.header, found.priority])).toEqual([
+      ['Utilities', 2],
+      ['Utilities', 2],
+      ['Parsing', 3],
+      ['Parsing/Comments', 4],
+      ['Parsing/Files', 5],
+      ['Getting Started', 6],
+    ]);
+  });
+
+  it('should order entries alphabetically and put @order entries first', () => {
+    const utilities = [
+      block('zip', ['Utilities']),
+      block('apply', ['Utilities']),
+      block('map', ['Utilities'], { tags: order(2) }),
+      block('reduce', ['Utilities'], { tags: order(1) }),
+    ];
+    expect(names(orderSections(utilities, { entryOrder: 'alphabetical' })))
+      .toEqual(['reduce', 'map', 'apply', 'zip']);
+  });
+
+  it('should throw on an entryOrder it does not know', () => {
+    expect(() => orderSections(data, { entryOrder: 'random' })).toThrowError(/entryOrder/);
+  });
+
+  it('should check the entryOrder before any ordering is done', () => {
+    expect(getEntryOrder({})).toBe('source');
+    expect(getEntryOrder({ entryOrder: 'alphabetical' })).toBe('alphabetical');
+    expect(() => getEntryOrder({ entryOrder: 'random' }))
+      .toThrowError('Unknown entryOrder random in your .gutenrc.json, use any of source, alphabetical');
+  });
+
+  it('should nest the sections of the ordered blocks', () => {
+    const ordered = orderSections([
+      block('extract', ['Parsing', 'Files']),
+      block('init', ['Setup']),
+      block('parse', ['Parsing']),
+      block('comments', ['Parsing', 'Comments']),
+      block('constructor', ['constructor']),
+    ], { sectionOrder: ['Setup'] });
+    expect(getSectionTree(ordered)).toEqual([
+      { name: 'Setup', path: 'Setup', children: [] },
+      {
+        name: 'Parsing',
+        path: 'Parsing',
+        children: [
+          { name: 'Files', path: 'Parsing/Files', children: [] },
+          { name: 'Comments', path: 'Parsing/Comments', children: [] },
+        ],
+      },
+      { name: 'constructor', path: 'constructor', children: [] },
+    ]);
+  });
+
+  it('should read the sections of blocks saved without a headerPath from their header', () => {
+    expect(getSectionTree([{ header: 'a/b' }, { header: 'c' }])).toEqual([
+      { name: 'a', path: 'a', children: [{ name: 'b', path: 'a/b', children: [] }] },
+      { name: 'c', path: 'c', children: [] },
+    ]);
+  });
+});
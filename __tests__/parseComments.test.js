@@ -1,5 +1,7 @@
 const parseComments = require('../src/parser/parseComments.js');
 
+const templateRC = require('../client/dist/.gutenRCTemplate.json');
+
 const testOutputLocation = './mockData/outputFromTest.js';
 jest.mock('fs');
 describe('parseComments', () => {
@@ -94,4 +96,28 @@ describe('parseComments', () => {
       fileName: '../src/parser/test.js',
     }],
   ));
-});
\ No newline at end of file
+
+  it('should fill in the types of yields tags and the names of callbacks', () => {
+    const gutenRC = Object.assign({}, templateRC, { absPath: './', cache: false });
+    const [file] = parseComments([{
+      content: [{
+        comment: '*\n * @yields {Array<number>} the next numbers\n * @callback onDone called at the end\n ',
+        name: 'count',
+      }],
+      name: 'proj/count.js',
+    }], gutenRC);
+    expect(file.content[0].tags).toEqual([{
+      title: 'yields',
+      description: 'the next numbers',
+      type: {
+        type: 'TypeApplication',
+        expression: { type: 'NameExpression', name: 'Array' },
+        applications: [{ type: 'NameExpression', name: 'number' }],
+      },
+    }, {
+      title: 'callback',
+      name: 'onDone',
+      description: 'called at the end',
+    }]);
+  });
+});
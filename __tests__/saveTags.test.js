@@ -0,0 +1,78 @@
+const path = require('path');
+const Ajv = require('ajv');
+const { generateDocs } = require('../index.js');
+const { toJSONData, getDataFormats, SCHEMA_VERSION } = require('../src/parser/saveTags.js');
+const schema = require('../client/dist/parsedData.schema.json');
+const templateRC = require('../client/dist/.gutenRCTemplate.json');
+const pjson = require('../package.json');
+const { createProject, removeProjects } = require('./helpers/tempProject.js');
+
+jest.mock('../src/utils.js');
+
+const data = [
+  {
+    header: 'b', priority: 2, id: 0, tags: [], name: 'one', pathName: 'proj/one.js',
+  },
+  {
+    header: 'a', priority: 1, id: 1, tags: [], name: 'two', pathName: 'proj/two.js',
+  },
+];
+
+describe('json data output', () => {
+  const gutenrc = Object.assign({}, templateRC, { absPath: path.resolve('./').concat('/') });
+
+  afterEach(removeProjects);
+
+  it('should wrap the blocks with the schema version and generator', () => {
+    const json = toJSONData(data, gutenrc);
+    expect(json.schemaVersion).toBe(SCHEMA_VERSION);
+    expect(json.schemaVersion).toBe(schema.properties.schemaVersion.const);
+    expect(json.generator).toEqual({ name: 'gutendocs', version: pjson.version });
+    expect(json.blocks).toBe(data);
+  });
+
+  it('should list the headers in priority order', () => {
+    expect(toJSONData(data, gutenrc).headers).toEqual([
+      { name: 'a', priority: 1 },
+      { name: 'b', priority: 2 },
+    ]);
+  });
+
+  it('should read the project from its package.json', () => {
+    expect(toJSONData(data, gutenrc).project)
+      .toEqual({ name: pjson.name, version: pjson.version, description: pjson.description });
+  });
+
+  it('should name the project after its folder without a package.json', () => {
+    const { projectDir, gutenrc: projectRC } = createProject('gutenjson-');
+    const json = toJSONData(data, projectRC);
+    expect(json.project.name).toBe(path.basename(projectDir));
+  });
+
+  it('should check the data formats before anything is saved', () => {
+    expect(getDataFormats({})).toEqual(['js']);
+    expect(getDataFormats({ dataFormats: ['json'] })).toEqual(['json']);
+    expect(() => getDataFormats({ dataFormats: ['js', 'xml'] })).toThrow(/Unknown data format xml/);
+  });
+
+  it('should only use the properties documented in the schema', () => {
+    const json = toJSONData(data, gutenrc);
+    expect(Object.keys(json).sort()).toEqual(Object.keys(schema.properties).sort());
+    expect(schema.required.sort()).toEqual(Object.keys(schema.properties).sort());
+  });
+
+  it('should save data that follows the schema, blocks included', () => {
+    expect.assertions(3);
+    const root = path.join(__dirname, '../mockData');
+    return generateDocs({ root, config: { verbosity: 0 } }).then((blocks) => {
+      const ajv = new Ajv({ allErrors: true });
+      const valid = ajv.validate(schema, toJSONData(blocks, Object.assign({}, gutenrc, {
+        absPath: root.concat('/'),
+      })));
+      expect(ajv.errors).toBeNull();
+      expect(valid).toBe(true);
+      // every kind the parse gives has to be in the schema
+      expect(blocks.map(block => block.kind)).toContain('typedef');
+    });
+  });
+});
@@ -0,0 +1,71 @@
+const { buildSearchIndex, tokenize, SEARCH_INDEX_VERSION } = require('../src/search.js');
+
+const data = [
+  {
+    header: 'Parsing',
+    priority: 1,
+    id: 0,
+    description: 'Reads the comments out of every file',
+    tags: [
+      { title: 'param', name: 'files', description: 'the extracted files' },
+      { title: 'return', description: 'the parsed blocks' },
+      { title: 'example', description: 'parseComments(extract(paths));' },
+    ],
+    name: 'parseComments',
+    params: [{ name: 'files', documented: true }],
+    pathName: 'src/parser/parseComments.js',
+  },
+  {
+    header: 'Saving',
+    priority: 2,
+    id: 1,
+    description: 'Writes the blocks to disk',
+    tags: [{ title: 'param', name: 'writePath', description: 'where the comments are saved' }],
+    name: 'saveTags',
+    memberOf: 'Saver',
+    pathName: 'src/parser/saveTags.js',
+  },
+];
+
+const weightOf = (index, term, doc) => (index.terms[term] || [])
+  .filter(([position]) => position === doc)
+  .map(([, weight]) => weight)[0];
+
+describe('search index', () => {
+  it('should split camelCase and snake_case words into their parts', () => {
+    expect(tokenize('parseComments save_tags')).toEqual(['parsecomments', 'parse', 'comments', 'save_tags', 'save', 'tags']);
+    expect(tokenize('HTMLParser')).toEqual(['htmlparser', 'html', 'parser']);
+    expect(tokenize(undefined)).toEqual([]);
+  });
+
+  it('should list the id, name and header of every block', () => {
+    const index = buildSearchIndex(data);
+    expect(index.version).toBe(SEARCH_INDEX_VERSION);
+    expect(index.docs).toEqual([
+      { id: 0, name: 'parseComments', header: 'Parsing' },
+      { id: 1, name: 'saveTags', header: 'Saving' },
+    ]);
+  });
+
+  it('should index descriptions, params, returns, examples and headers', () => {
+    const index = buildSearchIndex(data);
+    ['reads', 'files', 'extracted', 'parsed', 'extract', 'parsing'].forEach((term) => {
+      expect(weightOf(index, term, 0)).toBeGreaterThan(0);
+    });
+    ['writepath', 'saved', 'saver', 'saving'].forEach((term) => {
+      expect(weightOf(index, term, 1)).toBeGreaterThan(0);
+    });
+  });
+
+  it('should weigh names above descriptions', () => {
+    const index = buildSearchIndex(data);
+    // comments is in the name of the first block and the param description of the second
+    expect(weightOf(index, 'comments', 0)).toBeGreaterThan(weightOf(index, 'comments', 1));
+  });
+
+  it('should not let terms collide with object properties', () => {
+    const index = buildSearchIndex([Object.assign({}, data[0], { description: 'the constructor' })]);
+    expect(index.terms.constructor).toEqual([[0, 2]]);
+    expect(JSON.parse(JSON.stringify(index)).terms.constructor).toEqual([[0, 2]]);
+  });
+});
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { createServer, serve } = require('../src/server.js');
+const { createProject, removeProjects } = require('./helpers/tempProject.js');
+
+const get = (port, urlPath) => new Promise((resolve, reject) => {
+  http.get({ port, path: urlPath }, (res) => {
+    let body = '';
+    res.on('data', (chunk) => { body += chunk; });
+    res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'], body }));
+  }).on('error', reject);
+});
+
+describe('api server', () => {
+  let api;
+  let port;
+
+  beforeEach((done) => {
+    const { projectDir: apiPath } = createProject('gutenserve-');
+    fs.writeFileSync(path.join(apiPath, 'index.html'), '<html><body><div id="app"></div></body></html>');
+    fs.writeFileSync(path.join(apiPath, 'parsedData.json'), '{ "blocks": [] }');
+    api = createServer(apiPath);
+    api.server.listen(0, () => {
+      ({ port } = api.server.address());
+      done();
+    });
+  });
+
+  afterEach((done) => {
+    api.server.on('close', () => {
+      removeProjects();
+      done();
+    });
+    api.close();
+  });
+
+  it('should serve index.html with the live reload script', () => get(port, '/').then((res) => {
+    expect(res.status).toBe(200);
+    expect(res.type).toMatch(/text\/html/);
+    expect(res.body).toMatch(/EventSource\('\/__gutendocs\/livereload'\)[^]*<\/body>/);
+  }));
+
+  it('should serve the other files in the api folder', () => get(port, '/parsedData.json').then((res) => {
+    expect(res.type).toMatch(/application\/json/);
+    expect(res.body).toBe('{ "blocks": [] }');
+  }));
+
+  it('should not serve files outside of the api folder', () => Promise.all([
+    get(port, '/../package.json'),
+    get(port, '/missing.js'),
+  ]).then(([outside, missing]) => {
+    expect(outside.status).toBe(403);
+    expect(missing.status).toBe(404);
+  }));
+
+  it('should answer a path that can not be decoded with a bad request', () => get(port, '/%E0%A4%A').then((res) => {
+    expect(res.status).toBe(400);
+    return get(port, '/parsedData.json');
+  }).then((res) => {
+    expect(res.status).toBe(200);
+  }));
+
+  it('should tell connected pages to reload', () => new Promise((resolve) => {
+    http.get({ port, path: '/__gutendocs/livereload' }, (res) => {
+      let received = '';
+      res.on('data', (chunk) => {
+        received += chunk;
+        if (received.includes(':connected')) api.reload();
+        if (received.includes('data: reload')) resolve();
+      });
+    });
+  }));
+
+  it('should keep the other pages when a page that is gone closes again', () => new Promise((resolve) => {
+    const requests = [];
+    api.server.on('request', req => requests.push(req));
+    const connect = onData => http.get({ port, path: '/__gutendocs/livereload' }, (res) => {
+      let received = '';
+      res.on('data', (chunk) => {
+        received += chunk;
+        onData(received);
+      });
+    });
+    const first = connect(() => connect((received) => {
+      if (received === ':connected\n\n') {
+        requests[0].once('close', () => {
+          requests[0].emit('close');
+          api.reload();
+        });
+        first.abort();
+      }
+      if (received.includes('data: reload')) resolve();
+    }));
+  }));
+});
+
+describe('serve', () => {
+  afterEach(removeProjects);
+
+  it('should only listen on this machine', () => {
+    const { projectDir, gutenrc } = createProject('gutenserve-', { verbosity: 0, cache: false });
+    fs.mkdirSync(path.join(projectDir, 'GutenApi'));
+    // the first parse is done once the watcher says so
+    const log = jest.spyOn(console, 'log');
+    const watching = new Promise((resolve) => {
+      log.mockImplementation(message => message === 'Watching for changes...' && resolve());
+    });
+    const api = serve([path.join(projectDir, 'GutenApi')], 0, gutenrc);
+    const listening = new Promise(resolve => api.server.on('listening', resolve));
+    return Promise.all([watching, listening]).then(() => {
+      const { address } = api.server.address();
+      log.mockRestore();
+      return new Promise((resolve) => {
+        api.server.on('close', resolve);
+        api.close();
+      }).then(() => expect(['127.0.0.1', '::1']).toContain(address));
+    });
+  });
+});
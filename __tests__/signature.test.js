@@ -0,0 +1,31 @@
+const extract = require('../src/parser/extract.js');
+const parseComments = require('../src/parser/parseComments.js');
+const { cleanAST } = require('../src/sorters/execSorts.js');
+
+jest.mock('../src/utils.js');
+
+/* eslint-disable-next-line no-console */
+console.log = jest.fn();
+
+describe('merging signatures with @param tags', () => {
+  it('should match tags by name and destructured params by position', () => {
+    expect.assertions(1);
+    return extract(['./mockData/signatures.js']).then((data) => {
+      const [block] = cleanAST(parseComments(data));
+      expect(block.params).toEqual([
+        { name: 'person', destructured: true, documented: true },
+        { name: 'separator', default: "' '", documented: true },
+        { name: 'titles', rest: true, documented: false },
+      ]);
+    });
+  });
+
+  it('should keep the tags that were written', () => {
+    expect.assertions(1);
+    return extract(['./mockData/signatures.js']).then((data) => {
+      const [block] = cleanAST(parseComments(data));
+      expect(block.tags.filter(tag => tag.title === 'param').map(tag => tag.name))
+        .toEqual(['person', 'person.first', 'person.last', 'separator']);
+    });
+  });
+});
@@ -0,0 +1,54 @@
+const { toHeaderPath, sorts: { sortByFilePath } } = require('../src/sorters/sorters.js');
+const { execSorts } = require('../src/sorters/execSorts.js');
+
+jest.mock('../src/utils.js');
+
+const block = (name, pathName, tags = []) => ({
+  header: undefined,
+  priority: undefined,
+  description: '',
+  tags,
+  name,
+  pathName,
+});
+
+describe('nested sections', () => {
+  it('should read header paths from arrays and from names separated by /', () => {
+    expect(toHeaderPath('Parsing/Comments')).toEqual(['Parsing', 'Comments']);
+    expect(toHeaderPath(['src', 'parser', 'extract.js'])).toEqual(['src', 'parser', 'extract.js']);
+    expect(toHeaderPath(' Parsing / / Comments/')).toEqual(['Parsing', 'Comments']);
+    expect(toHeaderPath('Utilities')).toEqual(['Utilities']);
+  });
+
+  it('should assign the folders and file of each block as its header path', () => {
+    const ast = [block('extract', 'proj/src/parser/extract.js'), block('cli', 'proj/cli.js')];
+    const options = { sortByFilePath: { targetDepth: 2, includeExtension: false } };
+    const sorted = sortByFilePath({ ast, priority: 1, options });
+    expect(sorted.ast[0].header).toEqual(['src', 'parser', 'extract']);
+    expect(sorted.ast[1].header).toEqual(['cli']);
+    expect(sortByFilePath({ ast, priority: 1, options: {} }).ast[0].header)
+      .toEqual(['parser', 'extract.js']);
+  });
+
+  it('should keep the header path of every block and join it into the header', () => {
+    const ast = [
+      block('parse', 'proj/src/parse.js', [{ title: 'section', description: 'Parsing/Comments' }]),
+      block('save', 'proj/src/save.js'),
+    ];
+    const sorted = execSorts(ast, {
+      absPath: '/home/proj/',
+      apiDir: 'api/',
+      customSorters: {},
+      skeleton: {
+        sortByOrder: ['sortByTag', 'sortByFilePath'],
+        sortByTag: { tag: '@section' },
+        sortByFilePath: { targetDepth: 1 },
+        catchAll: { section: 'Miscellaneous' },
+      },
+    });
+    expect(sorted[0].headerPath).toEqual(['Parsing', 'Comments']);
+    expect(sorted[0].header).toBe('Parsing/Comments');
+    expect(sorted[1].headerPath).toEqual(['src', 'save.js']);
+    expect(sorted[1].header).toBe('src/save.js');
+  });
+});
@@ -0,0 +1,78 @@
+const {
+  globToRegExp,
+  compileRules,
+  sorts: { sortByRules, catchAll },
+} = require('../src/sorters/sorters.js');
+
+jest.mock('../src/utils.js');
+
+const block = (name, pathName, tags = []) => ({
+  header: undefined,
+  priority: undefined,
+  description: '',
+  tags,
+  name,
+  pathName,
+});
+
+const ast = [
+  block('getUser', 'proj/src/api/users.js'),
+  block('_cache', 'proj/src/api/cache.js'),
+  block('_hidden', 'proj/src/util.js', [{ title: 'private', description: '' }]),
+  block('helper', 'proj/src/util.js', [{ title: 'private', description: '' }]),
+  block('format', 'proj/src/util.js'),
+];
+
+const options = {
+  sortByRules: {
+    rules: [
+      { glob: 'src/api/**', section: 'Public API' },
+      { regex: '^_', section: 'Internal' },
+      { tag: '@private', section: 'Private' },
+    ],
+  },
+  catchAll: { section: 'Miscellaneous' },
+};
+
+describe('sortByRules', () => {
+  it('should turn globs into regular expressions', () => {
+    expect(globToRegExp('src/api/**').test('src/api/v1/users.js')).toBe(true);
+    expect(globToRegExp('src/api/**').test('src/apis/users.js')).toBe(false);
+    expect(globToRegExp('**/*.{js,jsx}').test('app.jsx')).toBe(true);
+    expect(globToRegExp('src/*.js').test('src/lib/index.js')).toBe(false);
+  });
+
+  it('should use the section of the first rule each block matches', () => {
+    const sorted = catchAll(sortByRules({ ast, priority: 1, options })).ast;
+    expect(sorted.map(sortedBlock => sortedBlock.header))
+      .toEqual(['Public API', 'Public API', 'Internal', 'Private', 'Miscellaneous']);
+  });
+
+  it('should give every rule its own priority in the order of the rules', () => {
+    const { ast: sorted, priority } = sortByRules({ ast, priority: 1, options });
+    expect(sorted.map(sortedBlock => sortedBlock.priority)).toEqual([1, 1, 2, 3, undefined]);
+    expect(priority).toBe(4);
+  });
+
+  it('should leave the blocks alone without rules', () => {
+    const data = { ast, priority: 1, options: {} };
+    expect(sortByRules(data)).toBe(data);
+  });
+
+  it('should throw on rules without a matcher or section', () => {
+    const sort = rules => () => sortByRules({
+      ast,
+      priority: 1,
+      options: { sortByRules: { rules } },
+    });
+    expect(sort([{ glob: 'src/**' }])).toThrow(/needs a section/);
+    expect(sort([{ section: 'API' }])).toThrow(/needs a glob, regex or tag/);
+  });
+
+  it('should name the rule with a regex that is not valid', () => {
+    const rules = [{ glob: 'src/**', section: 'Source' }, { regex: '(', section: 'Broken' }];
+    expect(() => compileRules(rules)).toThrow(/^Rule 2 in skeleton\.sortByRules has an invalid regex, {"regex":"\(","section":"Broken"}: /);
+    expect(() => sortByRules({ ast, priority: 1, options: { sortByRules: { rules } } }))
+      .toThrow(/Rule 2 .* invalid regex/);
+  });
+});
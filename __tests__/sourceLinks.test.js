@@ -0,0 +1,29 @@
+const { getSourceLink, addSourceLinks } = require('../src/sourceLinks.js');
+
+const gutenrc = { absPath: '/home/me/project/', apiDir: 'docs/api/' };
+const block = {
+  name: 'formatName',
+  pathName: 'project/src/format name.js',
+  line: 9,
+  endLine: 11,
+};
+
+describe('source links', () => {
+  it('should fill in the path and lines of the sourceUrl', () => {
+    const sourceUrl = 'https://github.com/me/project/blob/master/{path}#L{line}-L{endLine}';
+    expect(getSourceLink(block, Object.assign({ sourceUrl }, gutenrc)))
+      .toBe('https://github.com/me/project/blob/master/src/format%20name.js#L9-L11');
+  });
+
+  it('should fall back to the path of the file from the API folder', () => {
+    expect(getSourceLink(block, gutenrc)).toBe('../../src/format%20name.js#L9');
+    expect(getSourceLink(block, Object.assign({ sourceUrl: '' }, gutenrc)))
+      .toBe('../../src/format%20name.js#L9');
+  });
+
+  it('should only add a link to blocks that know their line', () => {
+    const [withLine, withoutLine] = addSourceLinks([block, { name: 'old', pathName: 'project/a.js' }], gutenrc);
+    expect(withLine.source).toBe('../../src/format%20name.js#L9');
+    expect(withoutLine).not.toHaveProperty('source');
+  });
+});
@@ -0,0 +1,77 @@
+const extract = require('../src/parser/extract.js');
+const parseComments = require('../src/parser/parseComments.js');
+
+jest.mock('../src/utils.js');
+
+/* eslint-disable-next-line no-console */
+console.log = jest.fn();
+
+const getTags = (file, name, memberOf) => file.content
+  .find(block => block.name === name && block.memberOf === memberOf).tags;
+
+describe('TypeScript files', () => {
+  it('should extract the JSDoc blocks along with the signature types', () => {
+    expect.assertions(1);
+    return extract(['./mockData/shapes.ts']).then((received) => {
+      expect(received[0].content.map(({ comment, ...block }) => block)).toEqual([{
+        name: 'Measurable',
+        kind: 'interface',
+        line: 4,
+        endLine: 9,
+      }, {
+        name: 'area',
+        kind: 'method',
+        line: 8,
+        endLine: 8,
+        memberOf: 'Measurable',
+        params: [{ name: 'precision', type: 'number' }],
+        returns: 'number',
+      }, {
+        name: 'Rectangle',
+        kind: 'class',
+        line: 14,
+        endLine: 30,
+      }, {
+        name: 'constructor',
+        kind: 'method',
+        line: 20,
+        endLine: 20,
+        memberOf: 'Rectangle',
+        params: [{ name: 'width', type: 'number' }, { name: 'height', default: '1' }],
+      }, {
+        name: 'area',
+        kind: 'method',
+        line: 27,
+        endLine: 29,
+        memberOf: 'Rectangle',
+        params: [{ name: 'precision', type: 'number' }],
+        returns: 'number',
+      }, {
+        name: 'totalArea',
+        kind: 'function',
+        line: 37,
+        endLine: 38,
+        params: [{ name: 'shapes', type: 'Measurable[]', rest: true }],
+        returns: 'number',
+      }]);
+    });
+  });
+
+  it('should use the signature types when the JSDoc tags have none', () => {
+    expect.assertions(3);
+    return extract(['./mockData/shapes.ts']).then((data) => {
+      const [file] = parseComments(data);
+      expect(getTags(file, 'constructor', 'Rectangle').map(tag => tag.type)).toEqual([
+        { type: 'NameExpression', name: 'number' },
+        { type: 'NameExpression', name: 'number' },
+      ]);
+      expect(getTags(file, 'area', 'Rectangle')[1].type)
+        .toEqual({ type: 'NameExpression', name: 'number' });
+      expect(getTags(file, 'totalArea')[0].type).toEqual({
+        type: 'TypeApplication',
+        expression: { type: 'NameExpression', name: 'Array' },
+        applications: [{ type: 'NameExpression', name: 'Measurable' }],
+      });
+    });
+  });
+});
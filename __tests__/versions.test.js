@@ -0,0 +1,64 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  getVersionLabel,
+  compareVersions,
+  loadVersions,
+  snapshotVersion,
+} = require('../src/versions.js');
+const { createProject, removeProjects } = require('./helpers/tempProject.js');
+
+jest.mock('../src/utils.js');
+
+const data = [{
+  header: 'a', priority: 1, id: 0, tags: [], name: 'one', pathName: 'proj/one.js',
+}];
+
+describe('versions', () => {
+  let gutenrc;
+
+  beforeEach(() => {
+    const project = createProject('gutenversions-');
+    ({ gutenrc } = project);
+    fs.writeFileSync(path.join(project.projectDir, 'package.json'), '{ "name": "proj", "version": "1.2.0" }');
+    fs.mkdirSync(path.join(project.projectDir, 'GutenApi'));
+  });
+
+  afterEach(removeProjects);
+
+  it('should label a snapshot with the version in package.json unless given one', () => {
+    expect(getVersionLabel('', gutenrc)).toBe('1.2.0');
+    expect(getVersionLabel(undefined, gutenrc)).toBe('1.2.0');
+    expect(getVersionLabel('next', gutenrc)).toBe('next');
+  });
+
+  it('should not allow labels that are not safe as a folder name', () => {
+    expect(() => getVersionLabel('../1.0', gutenrc)).toThrow();
+    expect(() => getVersionLabel('..', gutenrc)).toThrow();
+    const noVersion = Object.assign({}, gutenrc, { absPath: os.tmpdir().concat('/missing/') });
+    expect(() => getVersionLabel('', noVersion)).toThrow(/no version in your package.json/);
+  });
+
+  it('should order versions newest first', () => {
+    expect(['1.9.0', '1.10.0', '1.10.0-beta', 'v2.0.0'].sort(compareVersions))
+      .toEqual(['v2.0.0', '1.10.0', '1.10.0-beta', '1.9.0']);
+  });
+
+  it('should save the data under its label and list it', () => {
+    snapshotVersion(data, '', gutenrc);
+    snapshotVersion(data, '1.10.0', gutenrc);
+    snapshotVersion(data, '1.2.0', gutenrc);
+    const apiPath = gutenrc.absPath.concat(gutenrc.apiDir);
+    expect(fs.existsSync(path.join(apiPath, 'versions', '1.2.0'))).toBe(true);
+    const { versions } = loadVersions(gutenrc);
+    expect(versions.map(version => version.label)).toEqual(['1.10.0', '1.2.0']);
+    expect(versions[1].path).toBe('versions/1.2.0/');
+    expect(fs.readFileSync(path.join(apiPath, 'versions.js')).toString())
+      .toMatch(/^window\.versions = /);
+  });
+
+  it('should list no versions before a snapshot is saved', () => {
+    expect(loadVersions(gutenrc)).toEqual({ versions: [] });
+  });
+});
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+const { createUpdater } = require('../src/watcher.js');
+const { createProject, removeProjects } = require('./helpers/tempProject.js');
+
+jest.mock('../src/utils.js');
+
+/* eslint-disable-next-line no-console */
+console.log = jest.fn();
+
+const source = name => `/**\n * Does ${name}\n */\nconst ${name} = () => {};\n`;
+
+describe('watch mode updates', () => {
+  let projectPath;
+  let outputs;
+  let updater;
+
+  // the project is a folder inside of the temp folder since files are named from its parent
+  beforeEach(() => {
+    const { projectDir, gutenrc } = createProject('gutenwatch-');
+    projectPath = path.join(projectDir, 'proj');
+    fs.mkdirSync(projectPath);
+    fs.writeFileSync(path.join(projectPath, '.gutenignore'), 'ignored.js\n');
+    fs.writeFileSync(path.join(projectPath, 'a.js'), source('first'));
+    fs.writeFileSync(path.join(projectPath, 'b.js'), source('second'));
+    outputs = [];
+    updater = createUpdater(
+      data => outputs.push(data),
+      Object.assign({}, gutenrc, { absPath: projectPath.concat('/'), cache: false }),
+    );
+    return updater.load([projectPath]);
+  });
+
+  afterEach(removeProjects);
+
+  const names = () => outputs[outputs.length - 1].map(block => block.name).sort();
+
+  it('should merge the changed file with the files parsed before', () => {
+    fs.writeFileSync(path.join(projectPath, 'a.js'), source('renamed'));
+    expect(updater.change(path.join(projectPath, 'a.js'))).toBe(true);
+    return updater.update().then(() => {
+      expect(outputs).toHaveLength(2);
+      expect(names()).toEqual(['renamed', 'second']);
+    });
+  });
+
+  it('should drop the blocks of removed files', () => {
+    fs.unlinkSync(path.join(projectPath, 'b.js'));
+    updater.remove(path.join(projectPath, 'b.js'));
+    return updater.update().then(() => {
+      expect(names()).toEqual(['first']);
+    });
+  });
+
+  it('should leave out files in the .gutenignore and files that are not source', () => {
+    fs.writeFileSync(path.join(projectPath, 'ignored.js'), source('ignored'));
+    fs.writeFileSync(path.join(projectPath, 'notes.txt'), 'notes');
+    updater.change(path.join(projectPath, 'ignored.js'));
+    expect(updater.change(path.join(projectPath, 'notes.txt'))).toBe(false);
+    return updater.update().then(() => {
+      expect(outputs).toHaveLength(1);
+      expect(names()).toEqual(['first', 'second']);
+    });
+  });
+});
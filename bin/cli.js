@@ -8,6 +8,10 @@ const pjson = require('../package.json');
 const globalSettings = require('../client/dist/.gutenRCTemplate.json');
 const extract = require('../src/parser/extract.js');
 const parseComments = require('../src/parser/parseComments.js');
+const {
+  loadCache,
+  saveCache,
+} = require('../src/parser/cache.js');
 const {
   getRC,
   refreshAPI,
@@ -20,9 +24,46 @@ const {
   execSorts,
   cleanAST,
 } = require('../src/sorters/execSorts.js');
+const {
+  compileRules,
+} = require('../src/sorters/sorters.js');
+const {
+  getEntryOrder,
+} = require('../src/sorters/orderSections.js');
 const {
   saveTags,
+  getDataFormats,
 } = require('../src/parser/saveTags.js');
+const {
+  watch,
+} = require('../src/watcher.js');
+const {
+  getVersionLabel,
+  snapshotVersion,
+} = require('../src/versions.js');
+const {
+  loadParse,
+  diffAPIs,
+  formatText,
+  formatMarkdown,
+} = require('../src/diff.js');
+const {
+  saveMarkdown,
+} = require('../src/markdown.js');
+const {
+  coverage,
+  formatReport,
+} = require('../src/coverage.js');
+const {
+  lint,
+  formatDiagnostics,
+} = require('../src/lint.js');
+const {
+  exportSingleFile,
+} = require('../src/exporter.js');
+const {
+  serve,
+} = require('../src/server.js');
 
 const errorHandler = (err) => {
   let gutenrc;
@@ -40,6 +81,90 @@ const errorHandler = (err) => {
   else console.log(err);
 };
 
+const parseOptions = {
+  all: {
+    alias: 'a',
+    describe: 'parse all js/jsx/ts/tsx files in target path',
+  },
+  watch: {
+    alias: 'w',
+    describe: 'update GutenApi folder automatically',
+  },
+  format: {
+    alias: 'f',
+    describe: 'write the API for the React site or as markdown files',
+    choices: ['js', 'markdown'],
+    default: 'js',
+  },
+  split: {
+    describe: 'with --format markdown, write one file per section instead of a single API.md',
+    type: 'boolean',
+  },
+  snapshot: {
+    alias: 's',
+    describe: 'also save the API as a version the site can switch to, named after the version in package.json unless a label is given',
+    type: 'string',
+  },
+};
+
+/**
+ * @description Checks the settings the parse reads, so a mistake in the .gutenrc.json is
+ * reported before parsing rather than partway through it
+ * @param { object } gutenrc the gutenrc settings
+ */
+const checkParseSettings = (gutenrc) => {
+  getDataFormats(gutenrc);
+  compileRules(((gutenrc.skeleton || {}).sortByRules || {}).rules);
+  getEntryOrder(gutenrc);
+};
+
+const parseHandler = (argv) => {
+  const gutenrc = getRC();
+  if (gutenrc) {
+    const address = `${gutenrc.absPath.concat(gutenrc.apiDir)}parsedData.js`;
+    const input = argv.all ? ['./'] : argv._;
+    const markdown = Object.assign({}, globalSettings.markdown, gutenrc.markdown);
+    const split = argv.split === undefined ? markdown.split : argv.split;
+    const saveOutput = argv.format === 'markdown'
+      ? data => saveMarkdown(data, gutenrc.absPath.concat(markdown.outDir), split)
+      : data => saveTags(data, address);
+    let label;
+    try {
+      if (argv.snapshot !== undefined && argv.format === 'markdown') {
+        throw new Error('Snapshots are only saved for the site, remove --format markdown to save one');
+      }
+      checkParseSettings(gutenrc);
+      // checked before parsing so a bad label doesn't waste a parse
+      label = argv.snapshot === undefined ? undefined : getVersionLabel(argv.snapshot, gutenrc);
+    } catch (err) {
+      errorHandler(err);
+      process.exitCode = 1;
+      return;
+    }
+    const writeOutput = label === undefined ? saveOutput : (data) => {
+      saveOutput(data);
+      snapshotVersion(data, label, gutenrc);
+      /* eslint-disable-next-line no-console */
+      console.log(`Saved version ${label}`);
+    };
+    if (argv.watch) {
+      watch(input, writeOutput);
+      return;
+    }
+    const cache = loadCache(gutenrc);
+    extract(input, gutenrc, cache).then((data) => {
+      const rawAST = parseComments(data, gutenrc, cache);
+      saveCache(gutenrc, cache);
+      const ast = cleanAST(rawAST);
+      const dataToWrite = execSorts(ast);
+      writeOutput(dataToWrite);
+    }).catch((err) => {
+      errorHandler(err);
+      process.exitCode = 1;
+    });
+  }
+};
+
 yargs.usage(`$0 ${pjson.version}
   Usage: $0 [options] <TargetPathPattern...>
          $0 <option> 
@@ -63,29 +188,126 @@ yargs.command(['reset', 'r'], 'overwrite api folder with initial values', {
   }
 });
 
-yargs.command(['parse', 'document', 'doc', 'd'], 'Parse JSDoc comments into an API', {
-  all: {
-    alias: 'a',
-    describe: 'parse all js/jsx files in target path',
+yargs.command(['parse', 'document', 'doc', 'd'], 'Parse JSDoc comments into an API',
+  parseOptions, parseHandler);
+
+yargs.command(['coverage', 'cov'], 'Report how much of the code is documented', {
+  all: parseOptions.all,
+  json: {
+    alias: 'j',
+    describe: 'print the report as JSON',
   },
-  watch: {
-    alias: 'w',
-    describe: 'update GutenApi folder automatically',
+  min: {
+    alias: 'm',
+    describe: 'exit with an error when the total coverage is below this percentage',
+    type: 'number',
   },
 }, (argv) => {
   const gutenrc = getRC();
   if (gutenrc) {
-    const address = gutenrc ? `${gutenrc.absPath.concat(gutenrc.apiDir)}parsedData.js` : undefined;
-    const input = argv.all ? ['./'] : argv._;
-    extract(input).then((data) => {
-      const rawAST = parseComments(data, address);
-      const ast = cleanAST(rawAST);
-      const dataToWrite = execSorts(ast);
-      saveTags(dataToWrite, address);
+    const input = argv.all ? ['./'] : argv._.slice(1);
+    coverage(input, gutenrc).then((report) => {
+      /* eslint-disable-next-line no-console */
+      console.log(argv.json ? JSON.stringify(report, null, 2) : formatReport(report));
+      if (argv.min !== undefined && report.percent < argv.min) {
+        /* eslint-disable-next-line no-console */
+        if (!argv.json) console.log(`Coverage is below the minimum of ${argv.min}%`);
+        process.exitCode = 1;
+      }
+    }).catch((err) => {
+      errorHandler(err);
+      process.exitCode = 1;
     });
   }
 });
 
+yargs.command(['lint', 'l'], 'Check JSDoc comments for mistakes', {
+  all: parseOptions.all,
+}, (argv) => {
+  const gutenrc = getRC();
+  if (gutenrc) {
+    const input = argv.all ? ['./'] : argv._.slice(1);
+    lint(input, gutenrc).then((report) => {
+      /* eslint-disable-next-line no-console */
+      console.log(formatDiagnostics(report));
+      if (report.errors !== 0) process.exitCode = 1;
+    }).catch((err) => {
+      errorHandler(err);
+      process.exitCode = 1;
+    });
+  }
+});
+
+yargs.command('diff <old> <new>', 'Compare two parses or saved versions of the API', {
+  format: {
+    alias: 'f',
+    describe: 'print the changes as text, JSON or markdown for release notes',
+    choices: ['text', 'json', 'markdown'],
+    default: 'text',
+  },
+}, (argv) => {
+  const gutenrc = getRC();
+  if (gutenrc) {
+    try {
+      const diff = diffAPIs(loadParse(argv.old, gutenrc), loadParse(argv.new, gutenrc));
+      const formats = {
+        text: formatText,
+        json: changes => JSON.stringify(changes, null, 2),
+        markdown: formatMarkdown,
+      };
+      /* eslint-disable-next-line no-console */
+      console.log(formats[argv.format](diff));
+    } catch (err) {
+      errorHandler(err);
+      process.exitCode = 1;
+    }
+  }
+});
+
+yargs.command(['export', 'e'], 'Export the API for sharing', {
+  'single-file': {
+    alias: 's',
+    describe: 'inline everything into one self contained html file',
+  },
+  output: {
+    alias: 'o',
+    describe: 'where to save the export',
+    type: 'string',
+  },
+}, (argv) => {
+  const gutenrc = getRC();
+  if (gutenrc) {
+    if (!argv.singleFile) {
+      throw new Error('Only single file exports are supported, call "gutendocs export --single-file"');
+    }
+    const writePath = exportSingleFile(gutenrc, argv.output);
+    /* eslint-disable-next-line no-console */
+    console.log(`API exported to ${writePath}`);
+  }
+});
+
+yargs.command(['serve', 's'], 'Serve the API and reload it as files change', {
+  port: {
+    alias: 'p',
+    describe: 'the port to serve the API on',
+    type: 'number',
+    default: 8080,
+  },
+}, (argv) => {
+  const gutenrc = getRC();
+  if (gutenrc) {
+    const input = argv._.length > 1 ? argv._.slice(1) : ['./'];
+    try {
+      checkParseSettings(gutenrc);
+    } catch (err) {
+      errorHandler(err);
+      process.exitCode = 1;
+      return;
+    }
+    serve(input, argv.port, gutenrc);
+  }
+});
+
 yargs.command(['verbosity [level]', 'verbose [level]'], 'Set verbosity level [0-5]', {
   global: {
     alias: 'g',
@@ -153,28 +375,7 @@ yargs.command(['version'], 'See version information', {},
 
 // TODO left this in for development purposes so people could still use it the way they have been
 // TODO should be removed when the above is uncommented.
-yargs.command('$0', 'Parse JSDoc comments into an API', {
-  all: {
-    alias: 'a',
-    describe: 'parse all js/jsx files in target path',
-  },
-  watch: {
-    alias: 'w',
-    describe: 'update GutenApi folder automatically',
-  },
-}, (argv) => {
-  const gutenrc = getRC();
-  if (gutenrc) {
-    const address = gutenrc ? `${gutenrc.absPath.concat(gutenrc.apiDir)}parsedData.js` : undefined;
-    const input = argv.all ? ['./'] : argv._;
-    extract(input).then((data) => {
-      const rawAST = parseComments(data, address);
-      const ast = cleanAST(rawAST);
-      const dataToWrite = execSorts(ast);
-      saveTags(dataToWrite, address);
-    });
-  }
-});
+yargs.command('$0', 'Parse JSDoc comments into an API', parseOptions, parseHandler);
 
 try {
   yargs.parse();
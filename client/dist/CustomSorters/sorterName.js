@@ -13,6 +13,9 @@
       },
     ],
     "name": "the name of the function",
+    "kind": "what was documented (class, method, function, constant, property,
+      interface, type, enum or namespace)",
+    "memberOf": "the class or object it belongs to, like Outer.Inner (undefined for top level)",
     "pathName": "Path/to/your/file.js",
   },
 */
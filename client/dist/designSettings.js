@@ -13,6 +13,17 @@ const configData = {
     primaryColorFour: false,
     primaryColorFive: false,
   },
+  syntaxColors: {
+    background: false,
+    text: false,
+    keyword: false,
+    literal: false,
+    string: false,
+    number: false,
+    comment: false,
+    function: false,
+    tag: false,
+  },
   showGitForkRibbon: true,
   anchorHashJump: 10,
   introTxt: {
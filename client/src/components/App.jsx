@@ -3,39 +3,69 @@ import React, { Component } from 'react';
 import Intro from './Intro';
 import SideBar from './SideBar';
 import Ribbon from './Ribbon';
-import BodyFunctionDesc from './BodyFunctionDesc';
+import VersionSelect from './VersionSelect';
+import Section from './Section';
+import withComments from '../sections';
+import loadData, { loadSearchIndex, loadVersions, loadVersion } from '../loadData';
+import { syntaxThemeStyle } from '../highlight';
+import LinkAnchors from '../linkAnchors';
 import '../../dist/styles.css';
 
-const filterByHeaders = (header, commentsArray) => commentsArray
-  .filter(entry => header === entry.header);
-
-const uniqueHeaders = (arrayOfComments) => {
-  const headerPriorities = {};
-  arrayOfComments.forEach((comment) => {
-    headerPriorities[comment.header] = comment.priority;
-  });
-  let headers = Object.keys(headerPriorities);
-  headers = headers.sort((a, b) => {
-    if (headerPriorities[a] < headerPriorities[b]) return -1;
-    if (headerPriorities[a] > headerPriorities[b]) return 1;
-    return 0;
-  });
-  return headers;
-};
-
 export default class App extends Component {
   constructor(props) {
     super(props);
     this.state = {
+      loading: true,
+      parsedData: undefined,
+      sectionTree: [],
+      searchIndex: undefined,
+      versions: [],
+      version: undefined,
     };
   }
 
   componentDidMount() {
     document.title = window.configData.projectName;
+    Promise.all([loadData(window), loadSearchIndex(window), loadVersions(window)])
+      .then(([data, searchIndex, versions]) => {
+        this.setState({
+          loading: false,
+          parsedData: data && data.blocks,
+          sectionTree: data ? data.sections : [],
+          searchIndex,
+          versions,
+        });
+        // links to a saved version open on that version
+        const label = new URLSearchParams(window.location.search).get('version');
+        if (label !== null) this.selectVersion(label);
+      });
+  }
+
+  selectVersion(label) {
+    const { versions } = this.state;
+    const version = versions.find(saved => saved.label === label);
+    const search = version ? `?version=${encodeURIComponent(version.label)}` : '';
+    window.history.replaceState(null, '', `${window.location.pathname}${search}`);
+    loadVersion(window, version)
+      .then(([data, searchIndex]) => this.setState({
+        parsedData: data && data.blocks,
+        sectionTree: data ? data.sections : [],
+        searchIndex,
+        version: version && version.label,
+      }));
   }
 
   render() {
-    const { parsedData, configData } = window;
+    const { configData } = window;
+    const {
+      loading,
+      parsedData,
+      sectionTree,
+      searchIndex,
+      versions,
+      version,
+    } = this.state;
+    if (loading) return null;
     if (parsedData === undefined || parsedData.length === 0) {
       return (<div>{'Problem Loading Data, did you run "gutendocs parse [<filename>, --all]"'}</div>);
     }
@@ -46,49 +76,43 @@ export default class App extends Component {
         </div>
       );
     }
-    /* eslint-disable-next-line no-undef */ // imported onto window from index.html
-    const prioritySortedUniqueHeaders = uniqueHeaders(parsedData);
+    const sections = withComments(sectionTree, parsedData);
+    // each block adds the anchors of what it links to
+    const linkAnchors = { anchors: Object.create(null), offset: configData.anchorHashJump };
     return (
-      <div className="App">
-        <Ribbon show={configData.showGitForkRibbon} />
-        <h1 className="logo">
-          {/* eslint-disable-next-line jsx-a11y/alt-text */}
-          <img {...configData.banner} style={configData.banner ? {} : { display: 'none' }} />
-        </h1>
-        <div className="headerlogo">
-          <h1 id="gutendocs" data="GutenDocs">
-            {
-              configData.projectName
-            }
+      <LinkAnchors.Provider value={linkAnchors}>
+        <div className="App" style={syntaxThemeStyle(configData.syntaxColors)}>
+          <Ribbon show={configData.showGitForkRibbon} />
+          <h1 className="logo">
+            {/* eslint-disable-next-line jsx-a11y/alt-text */}
+            <img {...configData.banner} style={configData.banner ? {} : { display: 'none' }} />
           </h1>
-        </div>
-        <SideBar
-          parsedData={parsedData}
-          sortedHeaders={prioritySortedUniqueHeaders}
-          configData={configData}
-        />
-        <div className="starter">
-          <Intro text={configData.introTxt} />
-        </div>
-        {
-          prioritySortedUniqueHeaders.map((header, index) => (
-            <div className="tagSection" key={header.concat(index)}>
-              <h2 className="body" id={header}>
-                {header}
-              </h2>
-              {filterByHeaders(header, parsedData)
-                .map(funcComment => (
-                  <BodyFunctionDesc
-                    funcComment={funcComment}
-                    configData={configData}
-                    key={funcComment.id}
-                  />
-                ))
+          <div className="headerlogo">
+            <h1 id="gutendocs" data="GutenDocs">
+              {
+                configData.projectName
               }
-            </div>
-          ))
-        }
-      </div>
+            </h1>
+            <VersionSelect
+              versions={versions}
+              current={version}
+              onChange={label => this.selectVersion(label)}
+            />
+          </div>
+          <SideBar
+            parsedData={parsedData}
+            searchIndex={searchIndex}
+            sections={sections}
+            configData={configData}
+          />
+          <div className="starter">
+            <Intro text={configData.introTxt} />
+          </div>
+          {sections.map(section => (
+            <Section section={section} configData={configData} key={section.anchor} />
+          ))}
+        </div>
+      </LinkAnchors.Provider>
     );
   }
 }
\ No newline at end of file
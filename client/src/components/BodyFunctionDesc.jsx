@@ -5,35 +5,113 @@ import TagDesc from './TagDesc';
 import TagParam from './TagParam';
 import TagReturn from './TagReturn';
 import TagExample from './TagExample';
+import TagThrows from './TagThrows';
+import TagDeprecated from './TagDeprecated';
+import TagSee from './TagSee';
+import TagTypedef from './TagTypedef';
+import TagProperty from './TagProperty';
+import TagGeneric from './TagGeneric';
 import GeneratedFunc from './GeneratedFunc';
+import Markdown from './Markdown';
+import LinkAnchors from '../linkAnchors';
 /* eslint-enable */
 
+// tags with a component of their own, or shown as a badge next to the name
+const renderedTags = [
+  'desc', 'description', 'param', 'return', 'returns', 'yield', 'yields', 'example', 'throws',
+  'exception', 'deprecated', 'since', 'see', 'link', 'async', 'callback', 'typedef', 'property',
+  'prop',
+];
+
+// tags describing what a symbol is or where it belongs, which the heading already shows
+const hiddenTags = [
+  'access', 'alias', 'class', 'constructor', 'func', 'function', 'global', 'ignore', 'inner',
+  'instance', 'kind', 'lends', 'member', 'memberof', 'method', 'name', 'order', 'private',
+  'protected', 'public', 'section', 'static',
+];
+
 const BodyFunctionDesc = ({ funcComment, configData }) => {
-  const getByTag = (tags, targetTag) => tags
-    .filter(tag => (tag.title === targetTag));
+  const getByTag = (tags, ...targetTags) => tags
+    .filter(tag => targetTags.includes(tag.title));
+  const otherTags = funcComment.tags
+    .filter(tag => !renderedTags.includes(tag.title) && !hiddenTags.includes(tag.title));
+  const isDeprecated = getByTag(funcComment.tags, 'deprecated').length > 0;
+  const isAsync = getByTag(funcComment.tags, 'async').length > 0;
+  // the links resolved when parsing this block
+  const withLinks = ({ anchors, offset }) => ({
+    anchors: Object.assign(Object.create(null), anchors, funcComment.links),
+    offset,
+  });
   return (
-    <div className="bodyTags" key={funcComment.id}>
-      <h5
-        className="functionName"
-        id={funcComment.name.concat(funcComment.id)}
-        style={configData.colors.primaryColorFour
-          ? { background: configData.colors.primaryColorFour }
-          : {}}
-      >
-        {/* {`${funcComment.name}`} */}
-        <GeneratedFunc funcComment={funcComment} />
-      </h5>
-      <div>
-        {funcComment.description}
-      </div>
-      <div className="tags">
-        <TagDesc tags={getByTag(funcComment.tags, 'desc')} commentId={funcComment.id} />
-        <TagDesc tags={getByTag(funcComment.tags, 'description')} commentId={funcComment.id} />
-        <TagParam tags={getByTag(funcComment.tags, 'param')} commentId={funcComment.id} />
-        <TagReturn tags={getByTag(funcComment.tags, 'return')} commentId={funcComment.id} />
-        <TagExample tags={getByTag(funcComment.tags, 'example')} commentId={funcComment.id} />
-      </div>
-    </div>
+    <LinkAnchors.Consumer>
+      {linkAnchors => (
+        <LinkAnchors.Provider value={withLinks(linkAnchors)}>
+          <div className="bodyTags" key={funcComment.id}>
+            <h5
+              className="functionName"
+              id={funcComment.name.concat(funcComment.id)}
+              style={configData.colors.primaryColorFour
+                ? { background: configData.colors.primaryColorFour }
+                : {}}
+            >
+              {/* {`${funcComment.name}`} */}
+              {funcComment.kind && (
+                <span className="symbolKind">
+                  {funcComment.kind}
+                </span>
+              )}
+              {isAsync && (
+                <span className="symbolKind">
+                  async
+                </span>
+              )}
+              {isDeprecated && (
+                <span className="symbolKind deprecatedBadge">
+                  deprecated
+                </span>
+              )}
+              <GeneratedFunc funcComment={funcComment} />
+              {funcComment.source && (
+                <a
+                  className="sourceLink"
+                  href={funcComment.source}
+                  title={`${funcComment.pathName}:${funcComment.line}`}
+                  rel="noopener noreferrer"
+                >
+                  source
+                </a>
+              )}
+            </h5>
+            <div>
+              <Markdown text={funcComment.description} />
+            </div>
+            <div className="tags">
+              <TagDeprecated tags={getByTag(funcComment.tags, 'deprecated')} commentId={funcComment.id} />
+              <TagDesc tags={getByTag(funcComment.tags, 'desc')} commentId={funcComment.id} />
+              <TagDesc tags={getByTag(funcComment.tags, 'description')} commentId={funcComment.id} />
+              <TagTypedef tags={getByTag(funcComment.tags, 'typedef', 'callback')} commentId={funcComment.id} />
+              <TagProperty tags={getByTag(funcComment.tags, 'property', 'prop')} commentId={funcComment.id} />
+              <TagParam
+                tags={getByTag(funcComment.tags, 'param')}
+                commentId={funcComment.id}
+                undocumented={(funcComment.params || []).filter(param => !param.documented)}
+              />
+              <TagReturn tags={getByTag(funcComment.tags, 'return', 'returns')} commentId={funcComment.id} />
+              <TagReturn
+                tags={getByTag(funcComment.tags, 'yield', 'yields')}
+                commentId={funcComment.id}
+                label="Yields"
+              />
+              <TagThrows tags={getByTag(funcComment.tags, 'throws', 'exception')} commentId={funcComment.id} />
+              <TagGeneric tags={getByTag(funcComment.tags, 'since')} commentId={funcComment.id} />
+              <TagSee tags={getByTag(funcComment.tags, 'see', 'link')} commentId={funcComment.id} />
+              <TagExample tags={getByTag(funcComment.tags, 'example')} commentId={funcComment.id} />
+              <TagGeneric tags={otherTags} commentId={funcComment.id} />
+            </div>
+          </div>
+        </LinkAnchors.Provider>
+      )}
+    </LinkAnchors.Consumer>
   );
 };
 
@@ -44,4 +122,4 @@ BodyFunctionDesc.propTypes = {
   funcComment: PropTypes.object.isRequired,
   /* eslint-disable-next-line */
   configData: PropTypes.object.isRequired,
-};
\ No newline at end of file
+};
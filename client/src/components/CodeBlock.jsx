@@ -0,0 +1,94 @@
+/* eslint-disable-next-line import/no-extraneous-dependencies */
+import React from 'react';
+/* eslint-disable-next-line import/no-extraneous-dependencies */
+import PropTypes from 'prop-types';
+import { highlight, highlightedLanguages } from '../highlight';
+
+// older browsers and pages opened as a file have no navigator.clipboard
+const copyText = (text) => {
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    return navigator.clipboard.writeText(text);
+  }
+  const textArea = document.createElement('textarea');
+  textArea.value = text;
+  textArea.setAttribute('readonly', '');
+  textArea.style.position = 'absolute';
+  textArea.style.left = '-9999px';
+  document.body.appendChild(textArea);
+  textArea.select();
+  let copied = false;
+  try {
+    copied = document.execCommand('copy');
+  } catch (error) {
+    // the button asks the reader to copy it themselves instead
+  }
+  document.body.removeChild(textArea);
+  return copied ? Promise.resolve() : Promise.reject(new Error('Unable to copy'));
+};
+
+class CodeBlock extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      copyStatus: 'Copy',
+    };
+  }
+
+  componentWillUnmount() {
+    clearTimeout(this.resetTimer);
+  }
+
+  copy() {
+    const { code } = this.props;
+    copyText(code)
+      .then(() => 'Copied!', () => 'Copy failed')
+      .then((copyStatus) => {
+        this.setState({ copyStatus });
+        clearTimeout(this.resetTimer);
+        this.resetTimer = setTimeout(() => this.setState({ copyStatus: 'Copy' }), 2000);
+      });
+  }
+
+  render() {
+    const { code, caption, language } = this.props;
+    const { copyStatus } = this.state;
+    const tokens = highlightedLanguages.includes(language)
+      ? highlight(code)
+      : [{ type: 'plain', text: code }];
+    return (
+      <div className="codeBlock">
+        {caption && (
+          <div className="codeCaption">
+            {caption}
+          </div>
+        )}
+        <button type="button" className="copyButton" onClick={this.copy.bind(this)}>
+          {copyStatus}
+        </button>
+        <pre>
+          <code>
+            {
+              tokens.map((token, index) => (token.type === 'plain'
+                ? token.text
+                /* eslint-disable-next-line react/no-array-index-key */
+                : <span className={`token ${token.type}`} key={index}>{token.text}</span>))
+            }
+          </code>
+        </pre>
+      </div>
+    );
+  }
+}
+
+export default CodeBlock;
+
+CodeBlock.propTypes = {
+  code: PropTypes.string.isRequired,
+  caption: PropTypes.string,
+  language: PropTypes.string,
+};
+
+CodeBlock.defaultProps = {
+  caption: undefined,
+  language: undefined,
+};
@@ -0,0 +1,44 @@
+/* eslint-disable-next-line import/no-extraneous-dependencies */
+import React from 'react';
+/* eslint-disable-next-line import/no-extraneous-dependencies */
+import PropTypes from 'prop-types';
+/* eslint-disable-next-line import/no-extraneous-dependencies */
+import AnchorLink from 'react-anchor-link-smooth-scroll';
+import LinkAnchors from '../linkAnchors';
+import { isURL } from '../links';
+
+// links that didn't resolve when parsing are shown as the name they were written with
+const CrossReference = ({ target, children, code }) => {
+  const content = code ? <code className="markdownCode">{children || target}</code> : children || target;
+  if (isURL(target)) {
+    return (
+      <a href={target} rel="noopener noreferrer">
+        {content}
+      </a>
+    );
+  }
+  return (
+    <LinkAnchors.Consumer>
+      {({ anchors, offset }) => (anchors[target]
+        ? (
+          <AnchorLink offset={() => offset} href={`#${anchors[target]}`} className="crossReference">
+            {content}
+          </AnchorLink>
+        )
+        : <code className="markdownCode unresolvedLink">{children || target}</code>)}
+    </LinkAnchors.Consumer>
+  );
+};
+
+export default CrossReference;
+
+CrossReference.propTypes = {
+  target: PropTypes.string.isRequired,
+  children: PropTypes.node,
+  code: PropTypes.bool,
+};
+
+CrossReference.defaultProps = {
+  children: undefined,
+  code: false,
+};
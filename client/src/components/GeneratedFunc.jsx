@@ -1,20 +1,60 @@
 /* eslint-disable-next-line import/no-extraneous-dependencies */
+import React from 'react';
+/* eslint-disable-next-line import/no-extraneous-dependencies */
 import PropTypes from 'prop-types';
 
-const GeneratedFunc = ({ funcComment }) => `      ${funcComment.name}(`
+const callableKinds = ['function', 'method', 'class'];
+
+const isCallable = ({ kind }) => kind === undefined || callableKinds.includes(kind);
+
+const isOptional = tag => tag !== undefined && tag.type !== null && tag.type.type === 'OptionalType';
+
+const formatParam = (param, tag) => {
+  if (param.rest) return `...${param.name}`;
+  if (param.default !== undefined) return `[${param.name}=${param.default}]`;
+  if (isOptional(tag)) return `[${param.name}]`;
+  return param.name;
+};
+
+// signature built from the @param tags alone, for data parsed before params were recorded
+const generateFromTags = funcComment => `      ${funcComment.name}(`
   .concat(
     funcComment.tags.filter(tag => tag.title === 'param').map((tag, index, allParams) => {
       const param = [];
-      if (tag.type !== null && tag.type.type !== null && tag.type.type === 'OptionalType') param.push(` [${tag.name}]`);
+      if (isOptional(tag)) param.push(` [${tag.name}]`);
       else param.push(` ${tag.name}`);
       if (allParams.length === index + 1) param.push(' ');
       return param.join('');
     }),
   ).concat(')');
 
+const GeneratedFunc = ({ funcComment }) => {
+  if (!isCallable(funcComment)) return `      ${funcComment.name}`;
+  if (funcComment.params === undefined) return generateFromTags(funcComment);
+  const { params, tags } = funcComment;
+  return (
+    <span>
+      {`      ${funcComment.name}(`}
+      {
+        params.map((param, index) => (
+          <span
+            className={param.documented ? 'signatureParam' : 'signatureParam undocumented'}
+            title={param.documented ? undefined : 'This parameter is not documented'}
+            key={param.name}
+          >
+            {index === 0 ? ' ' : ', '}
+            {formatParam(param, tags.find(tag => tag.title === 'param' && tag.name === param.name))}
+          </span>
+        ))
+      }
+      {params.length > 0 ? ' )' : ')'}
+    </span>
+  );
+};
+
 export default GeneratedFunc;
 
 GeneratedFunc.propTypes = {
   /* eslint-disable-next-line */
   funcComment: PropTypes.object.isRequired,
-};
\ No newline at end of file
+};
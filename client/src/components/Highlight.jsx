@@ -0,0 +1,24 @@
+/* eslint-disable-next-line import/no-extraneous-dependencies */
+import React from 'react';
+/* eslint-disable-next-line import/no-extraneous-dependencies */
+import PropTypes from 'prop-types';
+import { highlightParts } from '../search';
+
+const Highlight = ({ text, terms }) => (
+  <span>
+    {
+      highlightParts(text, terms).map((part, index) => (part.match
+        /* eslint-disable-next-line react/no-array-index-key */
+        ? <mark className="searchMatch" key={index}>{part.text}</mark>
+        : part.text))
+    }
+  </span>
+);
+
+Highlight.propTypes = {
+  text: PropTypes.string.isRequired,
+  /* eslint-disable-next-line */
+  terms: PropTypes.array.isRequired,
+};
+
+export default Highlight;
@@ -2,6 +2,7 @@
 import React from 'react';
 /* eslint-disable-next-line import/no-extraneous-dependencies */
 import PropTypes from 'prop-types';
+import Markdown from './Markdown';
 
 const Intro = ({ text }) => {
   const headers = Object.keys(text);
@@ -13,9 +14,9 @@ const Intro = ({ text }) => {
             <h2>
               {header}
             </h2>
-            <p>
-              {text[header]}
-            </p>
+            <div className="introText">
+              <Markdown text={text[header]} />
+            </div>
           </div>
         ))
       }
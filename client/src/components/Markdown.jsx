@@ -0,0 +1,77 @@
+/* eslint-disable-next-line import/no-extraneous-dependencies */
+import React from 'react';
+/* eslint-disable-next-line import/no-extraneous-dependencies */
+import PropTypes from 'prop-types';
+import CodeBlock from './CodeBlock';
+import CrossReference from './CrossReference';
+import { parseMarkdown } from '../markdown';
+
+/* eslint-disable react/no-array-index-key */
+const renderInline = nodes => nodes.map((node, index) => {
+  switch (node.type) {
+    case 'code':
+      return <code className="markdownCode" key={index}>{node.text}</code>;
+    case 'strong':
+      return <strong key={index}>{renderInline(node.children)}</strong>;
+    case 'em':
+      return <em key={index}>{renderInline(node.children)}</em>;
+    case 'link':
+      return (
+        <a href={node.href} key={index} rel="noopener noreferrer">
+          {renderInline(node.children)}
+        </a>
+      );
+    case 'xref':
+      return (
+        <CrossReference target={node.target} code={node.code} key={index}>
+          {node.children && renderInline(node.children)}
+        </CrossReference>
+      );
+    default:
+      return node.text;
+  }
+});
+
+const renderBlock = (block, index) => {
+  switch (block.type) {
+    case 'code':
+      return <CodeBlock code={block.text} language={block.language} key={index} />;
+    case 'heading': {
+      // descriptions sit under the section and symbol headings of the page
+      const Heading = `h${Math.min(block.level + 3, 6)}`;
+      return <Heading className="markdownHeading" key={index}>{renderInline(block.children)}</Heading>;
+    }
+    case 'list': {
+      const List = block.ordered ? 'ol' : 'ul';
+      return (
+        <List className="markdownList" start={block.start} key={index}>
+          {block.items.map((item, itemIndex) => <li key={itemIndex}>{renderInline(item)}</li>)}
+        </List>
+      );
+    }
+    case 'quote':
+      return <blockquote key={index}>{block.children.map(renderBlock)}</blockquote>;
+    default:
+      return <p key={index}>{renderInline(block.children)}</p>;
+  }
+};
+/* eslint-enable */
+
+// a lone paragraph is kept inline so it can follow a label like "Desc: "
+const Markdown = ({ text }) => {
+  const blocks = parseMarkdown(text);
+  if (blocks.length === 1 && blocks[0].type === 'paragraph') {
+    return (<span className="markdown">{renderInline(blocks[0].children)}</span>);
+  }
+  return (<div className="markdown">{blocks.map(renderBlock)}</div>);
+};
+
+export default Markdown;
+
+Markdown.propTypes = {
+  text: PropTypes.string,
+};
+
+Markdown.defaultProps = {
+  text: '',
+};
@@ -0,0 +1,38 @@
+/* eslint-disable-next-line import/no-extraneous-dependencies */
+import React from 'react';
+/* eslint-disable-next-line import/no-extraneous-dependencies */
+import PropTypes from 'prop-types';
+import BodyFunctionDesc from './BodyFunctionDesc';
+
+const MemberGroup = ({ group, configData }) => (
+  <div className="memberGroup">
+    {group.comment
+      ? <BodyFunctionDesc funcComment={group.comment} configData={configData} />
+      : (
+        <h5 className="memberOf">
+          {group.memberOf}
+        </h5>
+      )
+    }
+    <div className={group.members.length > 0 ? 'members' : ''}>
+      {
+        group.members.map(member => (
+          <MemberGroup
+            group={member}
+            configData={configData}
+            key={member.comment ? member.comment.id : member.memberOf}
+          />
+        ))
+      }
+    </div>
+  </div>
+);
+
+export default MemberGroup;
+
+MemberGroup.propTypes = {
+  /* eslint-disable-next-line */
+  group: PropTypes.object.isRequired,
+  /* eslint-disable-next-line */
+  configData: PropTypes.object.isRequired,
+};
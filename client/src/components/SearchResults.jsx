@@ -0,0 +1,77 @@
+/* eslint-disable-next-line import/no-extraneous-dependencies */
+import React from 'react';
+/* eslint-disable-next-line import/no-extraneous-dependencies */
+import PropTypes from 'prop-types';
+/* eslint-disable-next-line import/no-extraneous-dependencies */
+import AnchorLink from 'react-anchor-link-smooth-scroll';
+import Highlight from './Highlight';
+import { getSnippet } from '../search';
+
+const SearchResults = ({
+  groups, terms, activeId, configData, resultRef,
+}) => {
+  if (groups.length === 0) {
+    return (<li className="noResults">No results</li>);
+  }
+  // the results are an item of the sidebar list, holding a list of sections
+  return (
+    <li className="searchResultGroups">
+      <ul className="searchResults">
+        {
+          groups.map(group => (
+            <li className="sidebarHeader" key={group.header}>
+              <h5 id="sidebarSections">
+                {group.header}
+              </h5>
+              <ul className="searchGroup">
+                {
+                  group.results.map(({ comment }) => {
+                    const snippet = getSnippet(comment, terms);
+                    const active = comment.id === activeId;
+                    return (
+                      <li
+                        className={active ? 'searchResult activeResult' : 'searchResult'}
+                        key={comment.id}
+                        ref={active ? resultRef : undefined}
+                      >
+                        <AnchorLink
+                          offset={() => configData.anchorHashJump}
+                          href={`#${comment.name.concat(comment.id)}`}
+                        >
+                          <Highlight text={comment.name} terms={terms} />
+                          {snippet && (
+                            <span className="searchSnippet">
+                              <Highlight text={snippet} terms={terms} />
+                            </span>
+                          )}
+                        </AnchorLink>
+                      </li>
+                    );
+                  })
+                }
+              </ul>
+              <br />
+            </li>
+          ))
+        }
+      </ul>
+    </li>
+  );
+};
+
+SearchResults.propTypes = {
+  /* eslint-disable-next-line */
+  groups: PropTypes.array.isRequired,
+  /* eslint-disable-next-line */
+  terms: PropTypes.array.isRequired,
+  activeId: PropTypes.number,
+  /* eslint-disable-next-line */
+  configData: PropTypes.object.isRequired,
+  resultRef: PropTypes.func.isRequired,
+};
+
+SearchResults.defaultProps = {
+  activeId: undefined,
+};
+
+export default SearchResults;
@@ -0,0 +1,39 @@
+/* eslint-disable-next-line import/no-extraneous-dependencies */
+import React from 'react';
+/* eslint-disable-next-line import/no-extraneous-dependencies */
+import PropTypes from 'prop-types';
+import MemberGroup from './MemberGroup';
+import groupByOwner from '../groupByOwner';
+
+// sections nested deeper than h4 keep using h4
+const Section = ({ section, configData }) => {
+  const Heading = `h${Math.min(section.depth + 2, 4)}`;
+  return (
+    <div className={section.depth === 0 ? 'tagSection' : 'tagSection subSection'}>
+      <Heading className="body" id={section.anchor}>
+        {section.name}
+      </Heading>
+      {groupByOwner(section.comments)
+        .map(group => (
+          <MemberGroup
+            group={group}
+            configData={configData}
+            key={group.comment ? group.comment.id : group.memberOf}
+          />
+        ))
+      }
+      {section.children.map(child => (
+        <Section section={child} configData={configData} key={child.anchor} />
+      ))}
+    </div>
+  );
+};
+
+export default Section;
+
+Section.propTypes = {
+  /* eslint-disable-next-line */
+  section: PropTypes.object.isRequired,
+  /* eslint-disable-next-line */
+  configData: PropTypes.object.isRequired,
+};
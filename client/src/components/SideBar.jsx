@@ -3,29 +3,63 @@ import React from 'react';
 /* eslint-disable-next-line import/no-extraneous-dependencies */
 import PropTypes from 'prop-types';
 import SideBarSections from './SideBarSections';
+import SearchResults from './SearchResults';
+import { search, queryTerms, groupBySection } from '../search';
 /* eslint-enable */
 class SideBar extends React.Component {
   constructor(props) {
     super(props);
     this.state = {
-      parsedData: props.parsedData,
+      query: '',
+      activeIndex: 0,
+    };
+  }
+
+  componentDidUpdate() {
+    if (this.activeResult && this.activeResult.scrollIntoView) {
+      this.activeResult.scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  // the results in the order they are shown, grouped by section
+  getResults() {
+    const { parsedData, searchIndex } = this.props;
+    const { query } = this.state;
+    const groups = groupBySection(search(searchIndex, parsedData, query));
+    return {
+      groups,
+      ordered: groups.reduce((results, group) => results.concat(group.results), []),
     };
   }
 
   updateSearch() {
-    const { parsedData } = this.props;
-    const result = [];
-    for (let i = 0; i < parsedData.length; i += 1) {
-      if (parsedData[i].name.includes(this.search.value)) {
-        result.push(parsedData[i]);
-      }
+    this.setState({ query: this.search.value, activeIndex: 0 });
+  }
+
+  handleKeyDown(event) {
+    const { activeIndex } = this.state;
+    const { ordered } = this.getResults();
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      this.setState({
+        activeIndex: Math.min(Math.max(activeIndex + step, 0), Math.max(ordered.length - 1, 0)),
+      });
+    } else if (event.key === 'Enter') {
+      const link = this.activeResult && this.activeResult.querySelector('a');
+      if (link) link.click();
+    } else if (event.key === 'Escape') {
+      this.search.value = '';
+      this.setState({ query: '', activeIndex: 0 });
     }
-    this.setState({ parsedData: result });
   }
 
   render() {
-    const { sortedHeaders, configData } = this.props;
-    const { parsedData } = this.state;
+    const { sections, configData } = this.props;
+    const { query, activeIndex } = this.state;
+    const terms = queryTerms(query);
+    const { groups, ordered } = this.getResults();
+    const active = ordered[Math.min(activeIndex, ordered.length - 1)];
     return (
       <div className="wrapper">
         <nav
@@ -59,22 +93,34 @@ class SideBar extends React.Component {
             placeholder="Search..."
             ref={(input) => { this.search = input; }}
             onChange={this.updateSearch.bind(this)}
+            onKeyDown={this.handleKeyDown.bind(this)}
           />
           <ul className="list-unstyled components">
             <li id="home">
               <a href="#Top">
-                <i className="fa fa-home" />
+                <svg className="homeIcon" viewBox="0 0 16 16" aria-hidden="true">
+                  <path d="M8 1L0 8h2v7h4.5v-4.5h3V15H14V8h2z" />
+                </svg>
                 {' '}
                 Top
                 {' '}
                 {' '}
               </a>
             </li>
-            <SideBarSections
-              parsedData={parsedData}
-              sortedHeaders={sortedHeaders}
-              configData={configData}
-            />
+            {terms.length > 0
+              ? (
+                <SearchResults
+                  groups={groups}
+                  terms={terms}
+                  activeId={active ? active.comment.id : undefined}
+                  configData={configData}
+                  resultRef={(result) => { this.activeResult = result; }}
+                />
+              )
+              : (
+                <SideBarSections sections={sections} configData={configData} />
+              )
+            }
           </ul>
         </nav>
       </div>
@@ -86,9 +132,15 @@ SideBar.propTypes = {
   /* eslint-disable-next-line */
   parsedData: PropTypes.array.isRequired,
   /* eslint-disable-next-line */
-  sortedHeaders: PropTypes.array.isRequired,
+  searchIndex: PropTypes.object,
+  /* eslint-disable-next-line */
+  sections: PropTypes.array.isRequired,
   /* eslint-disable-next-line */
   configData: PropTypes.object.isRequired,
 };
 
+SideBar.defaultProps = {
+  searchIndex: undefined,
+};
+
 export default SideBar;
\ No newline at end of file
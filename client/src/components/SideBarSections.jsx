@@ -5,52 +5,99 @@ import PropTypes from 'prop-types';
 /* eslint-disable-next-line import/no-extraneous-dependencies */
 import AnchorLink from 'react-anchor-link-smooth-scroll';
 import SidebarFuncEntry from './SidebarFuncEntry';
+import groupByOwner from '../groupByOwner';
 
-const SideBarSections = ({ parsedData, sortedHeaders, configData }) => {
-  const filterHeaders = (header, commentsArray) => commentsArray
-    .filter(entry => header === entry.header);
-  return (
-    <ul>
-      {
-        sortedHeaders.map(header => (
-          <div
-            className="sidebarHeader"
-            key={header}
-            style={filterHeaders(header, parsedData).length > 0 ? {} : { display: 'none' }}
-          >
-            <AnchorLink
-              offset={() => configData.anchorHashJump}
-              href={`#${header}`}
-            >
-              <h5 id="sidebarSections">
-                {header}
-              </h5>
-            </AnchorLink>
-            {
-              filterHeaders(header, parsedData)
-                .map(funcComment => (
+// every section starts open, the arrow next to it folds it away
+class SideBarSection extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      collapsed: false,
+    };
+  }
+
+  toggle() {
+    this.setState(({ collapsed }) => ({ collapsed: !collapsed }));
+  }
+
+  render() {
+    const { section, configData } = this.props;
+    const { collapsed } = this.state;
+    return (
+      <li className={section.depth === 0 ? 'sidebarHeader' : 'sidebarHeader sidebarSubsection'}>
+        <button
+          type="button"
+          className="sectionToggle"
+          aria-expanded={!collapsed}
+          aria-label={`${collapsed ? 'Show' : 'Hide'} ${section.name}`}
+          onClick={this.toggle.bind(this)}
+        >
+          {collapsed ? '▸' : '▾'}
+        </button>
+        <AnchorLink
+          offset={() => configData.anchorHashJump}
+          href={`#${section.anchor}`}
+        >
+          <h5 id="sidebarSections">
+            {section.name}
+          </h5>
+        </AnchorLink>
+        {collapsed
+          ? null
+          : (
+            <ul className="sidebarEntries">
+              {groupByOwner(section.comments)
+                .map(group => (
                   <SidebarFuncEntry
-                    comment={funcComment}
-                    key={funcComment.id}
+                    group={group}
+                    key={group.comment ? group.comment.id : group.memberOf}
                     configData={configData}
                   />
                 ))
-            }
-            <br />
-            <br />
-          </div>
+              }
+            </ul>
+          )
+        }
+        {!collapsed && section.children.length > 0
+          ? (
+            <ul className="sidebarSubsections">
+              {section.children.map(child => (
+                <SideBarSection section={child} configData={configData} key={child.anchor} />
+              ))}
+            </ul>
+          )
+          : null
+        }
+        {section.depth === 0 ? <br /> : null}
+      </li>
+    );
+  }
+}
+
+SideBarSection.propTypes = {
+  /* eslint-disable-next-line */
+  section: PropTypes.object.isRequired,
+  /* eslint-disable-next-line */
+  configData: PropTypes.object.isRequired,
+};
+
+// the sections are an item of the sidebar list, holding a list of sections
+const SideBarSections = ({ sections, configData }) => (
+  <li className="sidebarSectionGroups">
+    <ul className="sidebarSectionList">
+      {
+        sections.map(section => (
+          <SideBarSection section={section} configData={configData} key={section.anchor} />
         ))
       }
-    </ul>);
-};
+    </ul>
+  </li>);
 
 SideBarSections.propTypes = {
   /* eslint-disable-next-line */
-  parsedData: PropTypes.array.isRequired,
-  /* eslint-disable-next-line */
-  sortedHeaders: PropTypes.array.isRequired,
+  sections: PropTypes.array.isRequired,
   /* eslint-disable-next-line */
   configData: PropTypes.object.isRequired,
 };
 
-export default SideBarSections;
\ No newline at end of file
+export default SideBarSections;
@@ -5,15 +5,38 @@ import PropTypes from 'prop-types';
 /* eslint-disable-next-line import/no-extraneous-dependencies */
 import AnchorLink from 'react-anchor-link-smooth-scroll';
 
-const SidebarFuncEntry = ({ comment, configData }) => (
+const SidebarFuncEntry = ({ group, configData }) => (
   <li id="nameComment">
-    <AnchorLink
-      offset={() => configData.anchorHashJump}
-      href={`#${comment.name.concat(comment.id)}`}
-    >
-      {comment.name}
-      <br />
-    </AnchorLink>
+    {group.comment
+      ? (
+        <AnchorLink
+          offset={() => configData.anchorHashJump}
+          href={`#${group.comment.name.concat(group.comment.id)}`}
+          className={group.comment.tags.some(tag => tag.title === 'deprecated') ? 'deprecated' : undefined}
+        >
+          {group.comment.name}
+          <br />
+        </AnchorLink>
+      )
+      : (
+        <span className="memberOf">
+          {group.memberOf}
+        </span>
+      )
+    }
+    {group.members.length > 0 && (
+      <ul className="sidebarMembers">
+        {
+          group.members.map(member => (
+            <SidebarFuncEntry
+              group={member}
+              key={member.comment ? member.comment.id : member.memberOf}
+              configData={configData}
+            />
+          ))
+        }
+      </ul>
+    )}
   </li>
 );
 
@@ -21,7 +44,7 @@ export default SidebarFuncEntry;
 
 SidebarFuncEntry.propTypes = {
   /* eslint-disable-next-line */
-  comment: PropTypes.object.isRequired,
+  group: PropTypes.object.isRequired,
   /* eslint-disable-next-line */
   configData: PropTypes.object.isRequired,
-};
\ No newline at end of file
+};
@@ -0,0 +1,21 @@
+/* eslint-disable-next-line import/no-extraneous-dependencies */
+import React from 'react';
+/* eslint-disable-next-line import/no-extraneous-dependencies */
+import PropTypes from 'prop-types';
+import Markdown from './Markdown';
+
+const TagDeprecated = ({ tags, commentId }) => tags.map((tag, index) => (
+  <div className="deprecatedNote" key={commentId.toString().concat(tag.title).concat(index)}>
+    {'Deprecated'}
+    {tag.description && ': '}
+    {tag.description && <Markdown text={tag.description} />}
+  </div>
+));
+
+export default TagDeprecated;
+
+TagDeprecated.propTypes = {
+  /* eslint-disable-next-line */
+  tags: PropTypes.array.isRequired,
+  commentId: PropTypes.number.isRequired,
+};
@@ -2,10 +2,11 @@
 import React from 'react';
 /* eslint-disable-next-line import/no-extraneous-dependencies */
 import PropTypes from 'prop-types';
+import Markdown from './Markdown';
 
 const TagDesc = ({ tags, commentId }) => tags.map((tag, index) => (
   <div id="tagDescription" key={commentId.toString().concat(tag.title).concat(index)}>
-    {tag.description}
+    <Markdown text={tag.description} />
   </div>
 ));
 
@@ -2,11 +2,8 @@
 import React from 'react';
 /* eslint-disable-next-line import/no-extraneous-dependencies */
 import PropTypes from 'prop-types';
+import CodeBlock from './CodeBlock';
 
-const styles = {
-  lineHeight: '15px',
-  display: 'block',
-};
 const TagExample = ({ tags, commentId }) => (
   <div>
     <div className="returnTag" style={tags.length > 0 ? {} : { display: 'none' }}>
@@ -17,33 +14,16 @@ const TagExample = ({ tags, commentId }) => (
     <div>
       {
         tags.map((tag, exampleNum) => (
-          <div
-            className="exampleTag"
+          <CodeBlock
+            code={tag.description}
+            caption={tag.caption}
+            language="js"
             key={
                   commentId.toString()
                     .concat(tag.title)
                     .concat(exampleNum)
                 }
-          >
-            {
-              tag.description.split('\n')
-                .map((line, exampleLineNum) => (
-                  <pre
-                    style={styles}
-                    key={
-                          commentId.toString()
-                            .concat(tag.title)
-                            .concat(exampleNum)
-                            .concat(exampleLineNum)
-                        }
-                  >
-                    {
-                      line
-                    }
-                  </pre>
-                ))
-              }
-          </div>
+          />
         ))
       }
     </div>
@@ -0,0 +1,29 @@
+/* eslint-disable-next-line import/no-extraneous-dependencies */
+import React from 'react';
+/* eslint-disable-next-line import/no-extraneous-dependencies */
+import PropTypes from 'prop-types';
+import TypeExpression from './TypeExpression';
+import Markdown from './Markdown';
+
+const capitalize = title => title.charAt(0).toUpperCase().concat(title.slice(1));
+
+// any tag without a component of its own, shown as its title followed by what it holds
+const TagGeneric = ({ tags, commentId }) => tags.map((tag, index) => (
+  <div className="tagGeneric" key={commentId.toString().concat(tag.title).concat(index)}>
+    <span className="tagGenericTitle">
+      {`${capitalize(tag.title)}: `}
+    </span>
+    {tag.name && `${tag.name} `}
+    {tag.type && <TypeExpression type={tag.type} />}
+    {tag.type && ' '}
+    {tag.description && <Markdown text={tag.description} />}
+  </div>
+));
+
+export default TagGeneric;
+
+TagGeneric.propTypes = {
+  /* eslint-disable-next-line */
+  tags: PropTypes.array.isRequired,
+  commentId: PropTypes.number.isRequired,
+};
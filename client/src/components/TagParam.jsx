@@ -2,28 +2,50 @@
 import React from 'react';
 /* eslint-disable-next-line import/no-extraneous-dependencies */
 import PropTypes from 'prop-types';
+import TypeExpression from './TypeExpression';
+import Markdown from './Markdown';
 
-const TagParam = ({ tags, commentId }) => tags.map((tag, index) => (
+const TagParam = ({ tags, commentId, undocumented }) => tags.map((tag, index) => (
   <div key={commentId.toString().concat(tag.title).concat(index)}>
     <div className="tagParam">
       {
-        `Param: ${tag.name}`
+        `Param: ${tag.type && tag.type.type === 'RestType' ? '...' : ''}${tag.name}`
       }
     </div>
     <div className="tagType">
       {' '}
+      {'Type: '}
+      <TypeExpression type={tag.type} />
+    </div>
+    <div className="tagType">
+      {' '}
+      {'Desc: '}
+      <Markdown text={tag.description} />
+    </div>
+  </div>
+)).concat(undocumented.map(param => (
+  <div key={commentId.toString().concat('undocumented').concat(param.name)}>
+    <div className="tagParam undocumented">
       {
-        `Type: ${tag.type ? tag.type.name : 'undefined'}`
+        `Param: ${param.rest ? '...' : ''}${param.name}`
       }
     </div>
     <div className="tagType">
       {' '}
       {
-        `Desc: ${tag.description}`
+        `Type: ${param.type || 'undefined'}`
+      }
+    </div>
+    <div className="tagType undocumented">
+      {' '}
+      {
+        param.default === undefined
+          ? 'Not documented'
+          : `Not documented, defaults to ${param.default}`
       }
     </div>
   </div>
-));
+)));
 
 
 export default TagParam;
@@ -32,4 +54,10 @@ TagParam.propTypes = {
   /* eslint-disable-next-line */
   tags: PropTypes.array.isRequired,
   commentId: PropTypes.number.isRequired,
+  /* eslint-disable-next-line */
+  undocumented: PropTypes.array,
+};
+
+TagParam.defaultProps = {
+  undocumented: [],
 };
\ No newline at end of file
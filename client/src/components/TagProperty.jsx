@@ -0,0 +1,31 @@
+/* eslint-disable-next-line import/no-extraneous-dependencies */
+import React from 'react';
+/* eslint-disable-next-line import/no-extraneous-dependencies */
+import PropTypes from 'prop-types';
+import TypeExpression from './TypeExpression';
+import Markdown from './Markdown';
+
+const TagProperty = ({ tags, commentId }) => tags.map((tag, index) => (
+  <div key={commentId.toString().concat(tag.title).concat(index)}>
+    <div className="tagParam">
+      {`Property: ${tag.name}`}
+    </div>
+    <div className="tagType">
+      {'Type: '}
+      <TypeExpression type={tag.type} />
+      {tag.default !== undefined && `, defaults to ${tag.default}`}
+    </div>
+    <div className="tagType">
+      {'Desc: '}
+      <Markdown text={tag.description || ''} />
+    </div>
+  </div>
+));
+
+export default TagProperty;
+
+TagProperty.propTypes = {
+  /* eslint-disable-next-line */
+  tags: PropTypes.array.isRequired,
+  commentId: PropTypes.number.isRequired,
+};
@@ -2,25 +2,25 @@
 import React from 'react';
 /* eslint-disable-next-line import/no-extraneous-dependencies */
 import PropTypes from 'prop-types';
+import TypeExpression from './TypeExpression';
+import Markdown from './Markdown';
 
-const TagReturn = ({ tags, commentId }) => tags.map((tag, index) => (
+const TagReturn = ({ tags, commentId, label }) => tags.map((tag, index) => (
   <div key={commentId.toString().concat(tag.title).concat(index)}>
     <div className="tagReturn">
       {
-        'Return'
+        label
       }
     </div>
     <div className="tagType">
       {' '}
-      {
-        `Type: ${tag.type ? tag.type.name : 'undefined'}`
-      }
+      {'Type: '}
+      <TypeExpression type={tag.type} />
     </div>
     <div className="tagType">
       {' '}
-      {
-        `Desc: ${tag.description}`
-      }
+      {'Desc: '}
+      <Markdown text={tag.description} />
     </div>
   </div>
 ));
@@ -32,4 +32,9 @@ TagReturn.propTypes = {
   /* eslint-disable-next-line */
   tags: PropTypes.array.isRequired,
   commentId: PropTypes.number.isRequired,
+  label: PropTypes.string,
+};
+
+TagReturn.defaultProps = {
+  label: 'Return',
 };
\ No newline at end of file
@@ -0,0 +1,48 @@
+/* eslint-disable-next-line import/no-extraneous-dependencies */
+import React from 'react';
+/* eslint-disable-next-line import/no-extraneous-dependencies */
+import PropTypes from 'prop-types';
+import CrossReference from './CrossReference';
+import { isURL, parseLinkTag } from '../links';
+
+const TagSee = ({ tags, commentId }) => (
+  tags.length === 0 ? null : (
+    <div>
+      <div className="tagReturn">
+        See
+      </div>
+      <ul className="seeList">
+        {
+          tags.map((tag, index) => {
+            const { target, text } = parseLinkTag(tag.description);
+            return (
+              <li key={commentId.toString().concat(tag.title).concat(index)}>
+                {isURL(target)
+                  ? (
+                    <CrossReference target={target}>
+                      {text || undefined}
+                    </CrossReference>
+                  )
+                  : (
+                    <span>
+                      <CrossReference target={target} code />
+                      {text && ` ${text}`}
+                    </span>
+                  )
+                }
+              </li>
+            );
+          })
+        }
+      </ul>
+    </div>
+  )
+);
+
+export default TagSee;
+
+TagSee.propTypes = {
+  /* eslint-disable-next-line */
+  tags: PropTypes.array.isRequired,
+  commentId: PropTypes.number.isRequired,
+};
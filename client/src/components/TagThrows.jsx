@@ -0,0 +1,32 @@
+/* eslint-disable-next-line import/no-extraneous-dependencies */
+import React from 'react';
+/* eslint-disable-next-line import/no-extraneous-dependencies */
+import PropTypes from 'prop-types';
+import TypeExpression from './TypeExpression';
+import Markdown from './Markdown';
+
+const TagThrows = ({ tags, commentId }) => tags.map((tag, index) => (
+  <div key={commentId.toString().concat(tag.title).concat(index)}>
+    <div className="tagReturn">
+      Throws
+    </div>
+    <div className="tagType">
+      {'Type: '}
+      <TypeExpression type={tag.type} />
+    </div>
+    {tag.description && (
+      <div className="tagType">
+        {'Desc: '}
+        <Markdown text={tag.description} />
+      </div>
+    )}
+  </div>
+));
+
+export default TagThrows;
+
+TagThrows.propTypes = {
+  /* eslint-disable-next-line */
+  tags: PropTypes.array.isRequired,
+  commentId: PropTypes.number.isRequired,
+};
@@ -0,0 +1,39 @@
+/* eslint-disable-next-line import/no-extraneous-dependencies */
+import React from 'react';
+/* eslint-disable-next-line import/no-extraneous-dependencies */
+import PropTypes from 'prop-types';
+import TypeExpression from './TypeExpression';
+import Markdown from './Markdown';
+
+const labels = {
+  typedef: 'Typedef',
+  callback: 'Callback',
+};
+
+const TagTypedef = ({ tags, commentId }) => tags.map((tag, index) => (
+  <div key={commentId.toString().concat(tag.title).concat(index)}>
+    <div className="tagParam">
+      {`${labels[tag.title]}: ${tag.name || ''}`}
+    </div>
+    {tag.type && (
+      <div className="tagType">
+        {'Type: '}
+        <TypeExpression type={tag.type} />
+      </div>
+    )}
+    {tag.description && (
+      <div className="tagType">
+        {'Desc: '}
+        <Markdown text={tag.description} />
+      </div>
+    )}
+  </div>
+));
+
+export default TagTypedef;
+
+TagTypedef.propTypes = {
+  /* eslint-disable-next-line */
+  tags: PropTypes.array.isRequired,
+  commentId: PropTypes.number.isRequired,
+};
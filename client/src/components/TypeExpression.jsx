@@ -0,0 +1,38 @@
+/* eslint-disable-next-line import/no-extraneous-dependencies */
+import React from 'react';
+/* eslint-disable-next-line import/no-extraneous-dependencies */
+import PropTypes from 'prop-types';
+/* eslint-disable-next-line import/no-extraneous-dependencies */
+import AnchorLink from 'react-anchor-link-smooth-scroll';
+import LinkAnchors from '../linkAnchors';
+import { typeParts } from '../types';
+
+const TypeExpression = ({ type }) => (
+  <LinkAnchors.Consumer>
+    {({ anchors, offset }) => (
+      <code className="typeExpression">
+        {
+          typeParts(type).map((part, index) => (part.name && anchors[part.name]
+            ? (
+              /* eslint-disable-next-line react/no-array-index-key */
+              <AnchorLink offset={() => offset} href={`#${anchors[part.name]}`} key={index}>
+                {part.text}
+              </AnchorLink>
+            )
+            : part.text))
+        }
+      </code>
+    )}
+  </LinkAnchors.Consumer>
+);
+
+export default TypeExpression;
+
+TypeExpression.propTypes = {
+  /* eslint-disable-next-line */
+  type: PropTypes.object,
+};
+
+TypeExpression.defaultProps = {
+  type: undefined,
+};
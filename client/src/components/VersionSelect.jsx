@@ -0,0 +1,42 @@
+/* eslint-disable-next-line import/no-extraneous-dependencies */
+import React from 'react';
+/* eslint-disable-next-line import/no-extraneous-dependencies */
+import PropTypes from 'prop-types';
+
+// the latest parse is listed first with an empty value since it isn't a saved version
+const VersionSelect = ({ versions, current, onChange }) => (
+  versions.length === 0 ? null : (
+    <label className="versionSelect" htmlFor="versionSelect">
+      Version
+      <select
+        id="versionSelect"
+        value={current || ''}
+        onChange={event => onChange(event.target.value || undefined)}
+      >
+        <option value="">
+          Latest
+        </option>
+        {
+          versions.map(version => (
+            <option value={version.label} key={version.label}>
+              {version.label}
+            </option>
+          ))
+        }
+      </select>
+    </label>
+  )
+);
+
+export default VersionSelect;
+
+VersionSelect.propTypes = {
+  /* eslint-disable-next-line */
+  versions: PropTypes.array.isRequired,
+  current: PropTypes.string,
+  onChange: PropTypes.func.isRequired,
+};
+
+VersionSelect.defaultProps = {
+  current: undefined,
+};
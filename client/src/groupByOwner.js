@@ -0,0 +1,39 @@
+const qualifiedName = comment => (comment.memberOf
+  ? `${comment.pathName}:${comment.memberOf}.${comment.name}`
+  : `${comment.pathName}:${comment.name}`);
+
+/**
+ * Nests the comments that are members of a class or object under their owner.
+ * When the owner was not documented (or is in another section) a group is made
+ * for it with only the name of the owner.
+ * @param { array } comments the comments of a single section in display order
+ * @return { array } [{ comment, memberOf, members }] where members are groups as well
+ * @example groupByOwner([Shape, Shape#area]) returns
+ * [{ comment: Shape, memberOf: undefined, members: [{ comment: area, members: [] }] }]
+ */
+const groupByOwner = (comments) => {
+  const groups = [];
+  const owners = {};
+  const getOwner = (pathName, memberOf) => {
+    const ownerKey = `${pathName}:${memberOf}`;
+    if (owners[ownerKey] === undefined) {
+      owners[ownerKey] = { comment: undefined, memberOf, members: [] };
+      const parentOwner = owners[ownerKey.slice(0, ownerKey.lastIndexOf('.'))];
+      if (memberOf.includes('.') && parentOwner !== undefined) {
+        parentOwner.members.push(owners[ownerKey]);
+      } else {
+        groups.push(owners[ownerKey]);
+      }
+    }
+    return owners[ownerKey];
+  };
+  comments.forEach((comment) => {
+    const group = { comment, memberOf: comment.memberOf, members: [] };
+    if (comment.memberOf === undefined) groups.push(group);
+    else getOwner(comment.pathName, comment.memberOf).members.push(group);
+    if (owners[qualifiedName(comment)] === undefined) owners[qualifiedName(comment)] = group;
+  });
+  return groups;
+};
+
+export default groupByOwner;
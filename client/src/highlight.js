@@ -0,0 +1,109 @@
+// Splits JavaScript and JSX into tokens so examples can be colored.  It only has to be
+// good enough to read, anything it doesn't recognise is left as plain text
+
+const keywords = [
+  'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger',
+  'default', 'delete', 'do', 'else', 'export', 'extends', 'finally', 'for', 'from', 'function',
+  'get', 'if', 'import', 'in', 'instanceof', 'let', 'new', 'of', 'return', 'set', 'static',
+  'super', 'switch', 'this', 'throw', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield',
+];
+const literals = ['true', 'false', 'null', 'undefined', 'NaN', 'Infinity'];
+
+// the languages the tokenizer understands, fenced code in any other language is left plain
+export const highlightedLanguages = ['js', 'jsx', 'javascript', 'ts', 'tsx', 'typescript'];
+
+// the theme keys in designSettings.syntaxColors and the css variable each one sets
+export const syntaxColorVariables = {
+  background: '--syntax-background',
+  text: '--syntax-text',
+  keyword: '--syntax-keyword',
+  literal: '--syntax-literal',
+  string: '--syntax-string',
+  number: '--syntax-number',
+  comment: '--syntax-comment',
+  function: '--syntax-function',
+  tag: '--syntax-tag',
+};
+
+const patterns = [
+  { type: 'comment', pattern: /^(?:\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$))/ },
+  { type: 'string', pattern: /^(?:'(?:\\[\s\S]|[^\\'\n])*'?|"(?:\\[\s\S]|[^\\"\n])*"?|`(?:\\[\s\S]|[^\\`])*`?)/ },
+  { type: 'number', pattern: /^(?:0[xXbBoO][\da-fA-F_]+|\d[\d_]*\.?\d*(?:[eE][+-]?\d+)?|\.\d+)n?/ },
+  { type: 'identifier', pattern: /^[A-Za-z_$][\w$]*/ },
+  // a closing tag can't be a comparison, an opening one can, see endsValue
+  { type: 'tag', pattern: /^<\/[A-Za-z][\w.-]*/ },
+  { type: 'tag', pattern: /^<[A-Za-z][\w.-]*/, afterValue: false },
+  { type: 'regex', pattern: /^\/(?![*/])(?:\\.|\[(?:\\.|[^\]\\\n])*\]|[^/\\\n[])+\/[a-z]*/, afterValue: false },
+  { type: 'space', pattern: /^\s+/ },
+  { type: 'plain', pattern: /^[^\w$\s'"`/<.]+|^[\s\S]/ },
+];
+
+// a < straight after one of these is a comparison rather than the start of a jsx tag, and
+// a / is a division rather than the start of a regex
+const endsValue = token => token !== undefined
+  && ((token.kind === 'identifier' && token.type !== 'keyword')
+    || ['number', 'string', 'regex'].includes(token.kind) || /[)\]]$/.test(token.text));
+
+/**
+ * Names what an identifier is from the words around it
+ * @param { string } word the identifier
+ * @param { string } rest the code after it
+ * @return { string } keyword, literal, function or plain
+ */
+const identifierType = (word, rest) => {
+  if (keywords.includes(word)) return 'keyword';
+  if (literals.includes(word)) return 'literal';
+  if (/^\s*\(/.test(rest)) return 'function';
+  return 'plain';
+};
+
+/**
+ * Finds the token at the start of the code
+ * @param { string } code the code left to split
+ * @param { object } previous the last token that wasn't a space
+ * @return { object } { kind, match } where kind is the pattern that matched
+ */
+const nextToken = (code, previous) => patterns
+  .filter(({ afterValue }) => afterValue !== false || !endsValue(previous))
+  .map(({ type, pattern }) => ({ kind: type, match: code.match(pattern) }))
+  .find(({ match }) => match !== null);
+
+/**
+ * Splits code into colored tokens
+ * @param { string } code the JavaScript or JSX
+ * @return { array } [{ type, text }] that join back into the code, type is one of keyword,
+ * literal, string, number, comment, function, tag or plain
+ */
+export const highlight = (code) => {
+  const tokens = [];
+  let previous;
+  let rest = code;
+  while (rest.length > 0) {
+    const found = nextToken(rest, previous);
+    const text = found.match[0];
+    rest = rest.slice(text.length);
+    let type = found.kind;
+    if (type === 'identifier') type = identifierType(text, rest);
+    if (type === 'space') type = 'plain';
+    // regexes are colored like strings
+    if (type === 'regex') type = 'string';
+    const last = tokens[tokens.length - 1];
+    if (last !== undefined && last.type === type && type === 'plain') last.text += text;
+    else tokens.push({ type, text });
+    if (found.kind !== 'space') previous = { kind: found.kind, type, text };
+  }
+  return tokens;
+};
+
+/**
+ * Turns the syntax colors of the active theme into css variables for the page
+ * @param { object } syntaxColors the syntaxColors from designSettings.js
+ * @return { object } a style setting a variable for every color that is set
+ */
+export const syntaxThemeStyle = (syntaxColors) => {
+  const style = {};
+  Object.keys(syntaxColorVariables)
+    .filter(key => syntaxColors && syntaxColors[key])
+    .forEach((key) => { style[syntaxColorVariables[key]] = syntaxColors[key]; });
+  return style;
+};
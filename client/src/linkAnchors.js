@@ -0,0 +1,8 @@
+/* eslint-disable-next-line import/no-extraneous-dependencies */
+import React from 'react';
+
+// the anchors that names on the page link to.  Each block provides the links resolved when
+// it was parsed, its types included
+const LinkAnchors = React.createContext({ anchors: Object.create(null), offset: 0 });
+
+export default LinkAnchors;
@@ -0,0 +1,23 @@
+import { linkTagPattern, readLinkTag } from '../../src/links';
+
+// shared with the parser so the links it resolves are the ones shown as links here
+export { isURL, linkTagPattern, readLinkTag } from '../../src/links';
+
+const wholeLinkTagPattern = new RegExp(`^(?:${linkTagPattern.source})$`);
+
+/**
+ * Reads what a @see or @link tag points at.  The description can be a {@link} or just the
+ * target followed by the text to show for it
+ * @param { string } description the description of the tag
+ * @return { object } { target, text } where text is empty when only the target was given
+ */
+export const parseLinkTag = (description) => {
+  const trimmed = (description || '').trim();
+  const linkTag = trimmed.match(wholeLinkTagPattern);
+  if (linkTag) {
+    const { target, text } = readLinkTag(linkTag);
+    return { target, text };
+  }
+  const [target = ''] = trimmed.split(/\s/);
+  return { target, text: trimmed.slice(target.length).trim() };
+};
@@ -0,0 +1,121 @@
+/**
+ * Lists the headers of data saved before the sections were, one section each in the
+ * order of their priority
+ * @param { array } blocks the sorted comment blocks
+ * @return { array } [{ name, path, children }] like the sections of newer data
+ */
+const headerSections = blocks => blocks
+  .map((block, index) => ({ block, index }))
+  .sort((a, b) => a.block.priority - b.block.priority || a.index - b.index)
+  .map(({ block }) => block.header)
+  .filter((header, index, headers) => headers.indexOf(header) === index)
+  .map(header => ({ name: header, path: header, children: [] }));
+
+/**
+ * Pulls the blocks and sections out of the data, which is either the versioned document
+ * written to parsedData.js and parsedData.json or the array older parses wrote to
+ * parsedData.js
+ * @param { object } data the loaded data
+ * @return { object } { blocks, sections } where sections are nested as parsing ordered
+ * them, undefined when the data has neither shape
+ */
+const toData = (data) => {
+  if (Array.isArray(data)) return { blocks: data, sections: headerSections(data) };
+  if (!data || !Array.isArray(data.blocks)) return undefined;
+  return {
+    blocks: data.blocks,
+    sections: Array.isArray(data.sections) ? data.sections : headerSections(data.blocks),
+  };
+};
+
+/**
+ * Loads the parsed comments.  parsedData.js puts them on the window, when it is missing
+ * parsedData.json is fetched from next to index.html instead
+ * @param { object } win the window parsedData.js would have set parsedData on
+ * @param { string } folder where the json is fetched from, the folder of a version or
+ * empty for the one next to index.html
+ * @return { promise } resolves to { blocks, sections }, see toData, or undefined if neither
+ * file could be loaded
+ */
+const loadData = (win, folder = '') => {
+  const data = toData(win.parsedData);
+  if (data !== undefined) return Promise.resolve(data);
+  if (typeof win.fetch !== 'function') return Promise.resolve(undefined);
+  return win.fetch(`${folder}parsedData.json`)
+    .then(response => (response.ok ? response.json() : undefined))
+    .then(toData)
+    .catch(() => undefined);
+};
+
+/**
+ * Loads the search index the same way as the comments, searchIndex.js puts it on the
+ * window and searchIndex.json is fetched when it is missing
+ * @param { object } win the window searchIndex.js would have set searchIndex on
+ * @param { string } folder where the json is fetched from, see loadData
+ * @return { promise } resolves to the search index, or undefined if neither file could be
+ * loaded so the sidebar falls back to searching names
+ */
+export const loadSearchIndex = (win, folder = '') => {
+  if (win.searchIndex) return Promise.resolve(win.searchIndex);
+  if (typeof win.fetch !== 'function') return Promise.resolve(undefined);
+  return win.fetch(`${folder}searchIndex.json`)
+    .then(response => (response.ok ? response.json() : undefined))
+    .catch(() => undefined);
+};
+
+/**
+ * Loads the list of saved versions, versions.js puts it on the window and versions.json
+ * is fetched when it is missing
+ * @param { object } win the window versions.js would have set versions on
+ * @return { promise } resolves to [{ label, path, date }], newest first and empty when
+ * no version has been saved
+ */
+export const loadVersions = (win) => {
+  if (win.versions) return Promise.resolve(win.versions.versions || []);
+  if (typeof win.fetch !== 'function') return Promise.resolve([]);
+  return win.fetch('versions.json')
+    .then(response => (response.ok ? response.json() : {}))
+    .then(manifest => manifest.versions || [])
+    .catch(() => []);
+};
+
+/**
+ * Adds a script to the page
+ * @param { object } win the window to load it into
+ * @param { string } src the path of the script
+ * @return { promise } resolves once the script has run or failed to load
+ */
+const loadScript = (win, src) => new Promise((resolve) => {
+  const script = win.document.createElement('script');
+  const done = () => {
+    script.parentNode.removeChild(script);
+    resolve();
+  };
+  script.onload = done;
+  script.onerror = done;
+  script.src = src;
+  win.document.body.appendChild(script);
+});
+
+/**
+ * Loads the comments and search index of a saved version.  Its scripts are added to the
+ * page, which works when index.html is opened as a file, and its json is fetched when
+ * they are missing
+ * @param { object } win the window to load the version into
+ * @param { object } version the version from loadVersions, undefined for the latest parse
+ * next to index.html
+ * @return { promise } resolves to [data, searchIndex] where data is { blocks, sections }
+ */
+export const loadVersion = (win, version) => {
+  const folder = version ? version.path : '';
+  /* eslint-disable no-param-reassign */
+  win.parsedData = undefined;
+  win.searchIndex = undefined;
+  /* eslint-enable no-param-reassign */
+  return Promise.all([
+    loadScript(win, `${folder}parsedData.js`),
+    loadScript(win, `${folder}searchIndex.js`),
+  ]).then(() => Promise.all([loadData(win, folder), loadSearchIndex(win, folder)]));
+};
+
+export default loadData;
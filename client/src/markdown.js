@@ -0,0 +1,170 @@
+// Parses the Markdown used in JSDoc descriptions into plain objects that the Markdown
+// component turns into react elements.  Nothing is ever rendered as raw html, so the
+// only thing that needs sanitizing are the urls of links
+
+import { linkTagPattern, readLinkTag } from './links';
+
+const fencePattern = /^\s*(`{3,}|~{3,})\s*([\w+#.-]*)/;
+const headingPattern = /^\s*(#{1,6})\s+(.*?)\s*#*\s*$/;
+const listItemPattern = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+const quotePattern = /^\s*>\s?(.*)$/;
+const blankPattern = /^\s*$/;
+
+const inlinePatterns = [
+  { type: 'code', pattern: /(`+)([\s\S]*?[^`])\1(?!`)/, text: 2 },
+  { type: 'xref', pattern: linkTagPattern },
+  {
+    type: 'link',
+    pattern: /\[([^\]]*)\]\(\s*<?([^\s)>]+)>?(?:\s+"[^"]*")?\s*\)/,
+    children: 1,
+    href: 2,
+  },
+  { type: 'strong', pattern: /\*\*(?=\S)([\s\S]*?\S)\*\*/, children: 1 },
+  { type: 'strong', pattern: /\b__(?=\S)([\s\S]*?\S)__\b/, children: 1 },
+  { type: 'em', pattern: /\*(?=[^\s*])([\s\S]*?[^\s*])\*/, children: 1 },
+  { type: 'em', pattern: /\b_(?=\S)([\s\S]*?\S)_\b/, children: 1 },
+  {
+    type: 'link',
+    pattern: /<((?:https?:\/\/|mailto:)[^\s>]+)>/,
+    children: 1,
+    href: 1,
+  },
+];
+
+/**
+ * Checks that a link can't run script when clicked
+ * @param { string } href the url of the link
+ * @return { boolean } true for relative links and http, https and mailto links
+ */
+export const isSafeURL = (href) => {
+  // browsers ignore spaces and control characters when reading the scheme
+  const scheme = Array.from(href)
+    .filter(char => char.charCodeAt(0) > 32)
+    .join('')
+    .match(/^([a-z][a-z0-9+.-]*):/i);
+  return scheme === null || ['http', 'https', 'mailto'].includes(scheme[1].toLowerCase());
+};
+
+/**
+ * Finds the inline formatting that starts first in a piece of text
+ * @param { string } text the text to search
+ * @return { object } { inline, match } or undefined when the text is plain
+ */
+const findInline = text => inlinePatterns
+  .map((inline, order) => ({ inline, order, match: text.match(inline.pattern) }))
+  .filter(({ match }) => match !== null)
+  // when two start at the same place the one listed first in inlinePatterns wins
+  .sort((a, b) => a.match.index - b.match.index || a.order - b.order)[0];
+
+/**
+ * Parses the inline formatting of a piece of text
+ * @param { string } text a paragraph, heading or list item
+ * @return { array } nodes of type text, code, strong, em, link or xref, where xref is a
+ * {@link} to something documented
+ */
+export const parseInline = (text) => {
+  const nodes = [];
+  let rest = text;
+  while (rest.length > 0) {
+    const found = findInline(rest);
+    if (found === undefined) {
+      nodes.push({ type: 'text', text: rest });
+      break;
+    }
+    const { inline, match } = found;
+    if (match.index > 0) nodes.push({ type: 'text', text: rest.slice(0, match.index) });
+    if (inline.type === 'code') {
+      nodes.push({ type: 'code', text: match[inline.text].trim() });
+    } else if (inline.type === 'xref') {
+      const { target, text: linkText, code } = readLinkTag(match);
+      nodes.push({
+        type: 'xref',
+        target,
+        code,
+        children: linkText.length === 0 ? undefined : parseInline(linkText),
+      });
+    } else if (inline.type === 'link' && !isSafeURL(match[inline.href])) {
+      nodes.push({ type: 'text', text: match[inline.children] });
+    } else {
+      nodes.push({
+        type: inline.type,
+        href: inline.href ? match[inline.href] : undefined,
+        children: parseInline(match[inline.children]),
+      });
+    }
+    rest = rest.slice(match.index + match[0].length);
+  }
+  return nodes;
+};
+
+const startsBlock = line => fencePattern.test(line) || headingPattern.test(line)
+  || listItemPattern.test(line) || quotePattern.test(line);
+
+/**
+ * Parses Markdown into blocks
+ * @param { string } text the description
+ * @return { array } blocks of type paragraph, heading, list, quote or code
+ */
+export const parseMarkdown = (text) => {
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    const fence = line.match(fencePattern);
+    const heading = line.match(headingPattern);
+    const listItem = line.match(listItemPattern);
+    if (blankPattern.test(line)) {
+      i += 1;
+    } else if (fence) {
+      const code = [];
+      i += 1;
+      while (i < lines.length && !new RegExp(`^\\s*${fence[1][0]}{${fence[1].length},}\\s*$`).test(lines[i])) {
+        code.push(lines[i]);
+        i += 1;
+      }
+      blocks.push({ type: 'code', language: fence[2] || undefined, text: code.join('\n') });
+      i += 1;
+    } else if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, children: parseInline(heading[2]) });
+      i += 1;
+    } else if (listItem) {
+      const ordered = /\d/.test(listItem[1]);
+      const items = [];
+      while (i < lines.length) {
+        const item = lines[i].match(listItemPattern);
+        if (item && /\d/.test(item[1]) === ordered) {
+          items.push(item[2]);
+        } else if (item || blankPattern.test(lines[i]) || startsBlock(lines[i])) {
+          break;
+        } else {
+          // lines that aren't a new item carry on the one before
+          items[items.length - 1] = `${items[items.length - 1]} ${lines[i].trim()}`;
+        }
+        i += 1;
+      }
+      blocks.push({
+        type: 'list',
+        ordered,
+        start: ordered ? parseInt(listItem[1], 10) : undefined,
+        items: items.map(parseInline),
+      });
+    } else if (quotePattern.test(line)) {
+      const quoted = [];
+      while (i < lines.length && quotePattern.test(lines[i])) {
+        quoted.push(lines[i].match(quotePattern)[1]);
+        i += 1;
+      }
+      blocks.push({ type: 'quote', children: parseMarkdown(quoted.join('\n')) });
+    } else {
+      const paragraph = [];
+      while (i < lines.length && !blankPattern.test(lines[i])
+        && (paragraph.length === 0 || !startsBlock(lines[i]))) {
+        paragraph.push(lines[i].trim());
+        i += 1;
+      }
+      blocks.push({ type: 'paragraph', children: parseInline(paragraph.join(' ')) });
+    }
+  }
+  return blocks;
+};
@@ -0,0 +1,134 @@
+// the version of the index built by gutendocs parse this client knows how to read
+const SEARCH_INDEX_VERSION = 1;
+// how much a term that only starts with what was typed counts compared to an exact match
+const PREFIX_WEIGHT = 0.5;
+const SNIPPET_LENGTH = 80;
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * Splits what was typed into the search box into lowercase terms
+ * @param { string } query the text of the search box
+ * @return { array } the terms, without repeats
+ */
+export const queryTerms = query => (query.toLowerCase().match(/[a-z0-9_$]+/g) || [])
+  .filter((term, index, terms) => terms.indexOf(term) === index);
+
+/**
+ * Ranks the documents in the search index.  Every term has to be found for a document
+ * to match, the last one is allowed to be the start of a word since it may still be
+ * being typed.  Terms found in fewer documents count for more
+ * @param { object } index the search index written by gutendocs parse
+ * @param { array } terms the terms from queryTerms
+ * @return { array } [{ id, score }] best match first
+ */
+const rankDocuments = (index, terms) => {
+  const indexTerms = Object.keys(index.terms);
+  const docCount = index.docs.length;
+  const scores = terms.reduce((matched, queryTerm) => {
+    const termScores = {};
+    indexTerms
+      .filter(term => term.startsWith(queryTerm))
+      .forEach((term) => {
+        const postings = index.terms[term];
+        const idf = Math.log(1 + docCount / postings.length);
+        const exactness = term === queryTerm ? 1 : PREFIX_WEIGHT;
+        postings.forEach(([doc, weight]) => {
+          termScores[doc] = (termScores[doc] || 0) + weight * idf * exactness;
+        });
+      });
+    if (matched === undefined) return termScores;
+    const both = {};
+    Object.keys(matched)
+      .filter(doc => hasOwn(termScores, doc))
+      .forEach((doc) => { both[doc] = matched[doc] + termScores[doc]; });
+    return both;
+  }, undefined);
+  return Object.keys(scores)
+    .map(doc => ({ id: index.docs[doc].id, score: scores[doc] }))
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Searches the comments for what was typed into the search box.  API folders made
+ * before there was a search index only have their names searched
+ * @param { object } index the search index written by gutendocs parse, if it was loaded
+ * @param { array } comments every comment block shown on the page
+ * @param { string } query the text of the search box
+ * @return { array } [{ comment, score }] best match first
+ */
+export const search = (index, comments, query) => {
+  const terms = queryTerms(query);
+  if (terms.length === 0) return [];
+  if (!index || index.version !== SEARCH_INDEX_VERSION) {
+    return comments
+      .filter(comment => terms.every(term => (comment.name || '').toLowerCase().includes(term)))
+      .map(comment => ({ comment, score: 1 }));
+  }
+  const byId = {};
+  comments.forEach((comment) => { byId[comment.id] = comment; });
+  return rankDocuments(index, terms)
+    .filter(result => byId[result.id] !== undefined)
+    .map(result => ({ comment: byId[result.id], score: result.score }));
+};
+
+/**
+ * Groups search results by the section they are in.  Sections are ordered by their
+ * best result and keep the order of their results
+ * @param { array } results the results from search
+ * @return { array } [{ header, results }]
+ */
+export const groupBySection = (results) => {
+  const groups = [];
+  results.forEach((result) => {
+    let group = groups.find(({ header }) => header === result.comment.header);
+    if (group === undefined) {
+      group = { header: result.comment.header, results: [] };
+      groups.push(group);
+    }
+    group.results.push(result);
+  });
+  return groups;
+};
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Splits text so the parts matching the search can be highlighted
+ * @param { string } text the text to highlight
+ * @param { array } terms the terms from queryTerms
+ * @return { array } [{ text, match }] that join back into the original text
+ */
+export const highlightParts = (text, terms) => {
+  if (!text || terms.length === 0) return [{ text: text || '', match: false }];
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+  return text.split(pattern)
+    .filter(part => part.length !== 0)
+    .map(part => ({ text: part, match: terms.includes(part.toLowerCase()) }));
+};
+
+/**
+ * Finds a short piece of the documentation of a comment that mentions the search
+ * @param { object } comment the comment block
+ * @param { array } terms the terms from queryTerms
+ * @return { string } the text around the first match, empty if only the name matched
+ */
+export const getSnippet = (comment, terms) => {
+  const texts = [comment.description]
+    .concat(comment.tags.map(tag => [tag.name, tag.description].filter(Boolean).join(' ')));
+  const lowerTerms = terms.map(term => term.toLowerCase());
+  let snippet = '';
+  texts.some((text) => {
+    const lower = (text || '').toLowerCase();
+    const position = lowerTerms
+      .map(term => lower.indexOf(term))
+      .filter(found => found !== -1)
+      .sort((a, b) => a - b)[0];
+    if (position === undefined) return false;
+    const start = Math.max(0, position - SNIPPET_LENGTH / 4);
+    const end = start + SNIPPET_LENGTH;
+    snippet = `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s+/g, ' ')}${end < text.length ? '…' : ''}`;
+    return true;
+  });
+  return snippet;
+};
@@ -0,0 +1,20 @@
+/**
+ * Gives each section saved with the data the comments directly in it, so it can be shown
+ * along with the sections nested in it
+ * @param { array } sections [{ name, path, children }] as parsing nested and ordered them
+ * @param { array } comments every comment block in display order
+ * @param { number } depth how deeply the sections are nested, 0 for the outermost
+ * @return { array } [{ name, anchor, depth, comments, children }] where anchor is the path
+ * of the section
+ * @example withComments([{ name: 'a', path: 'a', children: [] }], [{ header: 'a' }]) returns
+ * [{ name: 'a', anchor: 'a', depth: 0, comments: [{ header: 'a' }], children: [] }]
+ */
+const withComments = (sections, comments, depth = 0) => sections.map(section => ({
+  name: section.name,
+  anchor: section.path,
+  depth,
+  comments: comments.filter(comment => comment.header === section.path),
+  children: withComments(section.children, comments, depth + 1),
+}));
+
+export default withComments;
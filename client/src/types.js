@@ -0,0 +1,88 @@
+// Turns the type expressions doctrine parses out of tags back into text.  The text is
+// split into parts so the names of documented types can be linked to
+
+const literals = {
+  NullableLiteral: '?',
+  AllLiteral: '*',
+  NullLiteral: 'null',
+  UndefinedLiteral: 'undefined',
+  VoidLiteral: 'void',
+};
+
+const text = value => [{ text: value }];
+
+/**
+ * Splits a doctrine type into the parts it is written with, such as Array.<string>,
+ * (number|string) or function(string): boolean
+ * @param { object } type the doctrine type
+ * @return { array } [{ text, name }] where name is set for parts naming a type
+ */
+export const typeParts = (type) => {
+  const joinTypes = (types, separator) => types.reduce((parts, element, index) => parts
+    .concat(index === 0 ? [] : text(separator), typeParts(element)), []);
+  if (!type) return text('undefined');
+  if (literals[type.type] !== undefined) return text(literals[type.type]);
+  switch (type.type) {
+    case 'NameExpression':
+      return [{ text: type.name, name: type.name }];
+    case 'StringLiteralType':
+      return text(JSON.stringify(type.value));
+    case 'NumericLiteralType':
+    case 'BooleanLiteralType':
+      return text(String(type.value));
+    case 'UnionType':
+      return [].concat(text('('), joinTypes(type.elements, '|'), text(')'));
+    case 'ArrayType':
+      return [].concat(text('['), joinTypes(type.elements, ', '), text(']'));
+    case 'RecordType':
+      return [].concat(text('{'), joinTypes(type.fields, ', '), text('}'));
+    case 'FieldType':
+      return type.value
+        ? [].concat(text(`${type.key}: `), typeParts(type.value))
+        : text(type.key);
+    case 'TypeApplication':
+      return [].concat(
+        typeParts(type.expression),
+        text('.<'),
+        joinTypes(type.applications, ', '),
+        text('>'),
+      );
+    case 'FunctionType': {
+      // doctrine keeps the type of new: in this, with new set to true
+      const binding = type.this
+        ? [[].concat(text(type.new ? 'new: ' : 'this: '), typeParts(type.this))]
+        : [];
+      const params = binding.concat(type.params.map(typeParts))
+        .reduce((parts, param, index) => parts.concat(index === 0 ? [] : text(', '), param), []);
+      return [].concat(
+        text('function('),
+        params,
+        text(')'),
+        type.result ? [].concat(text(': '), typeParts(type.result)) : [],
+      );
+    }
+    case 'ParameterType':
+      return [].concat(text(`${type.name}: `), typeParts(type.expression));
+    case 'RestType':
+      return [].concat(text('...'), type.expression ? typeParts(type.expression) : []);
+    case 'OptionalType':
+      return [].concat(typeParts(type.expression), text('='));
+    case 'NullableType':
+      return type.prefix
+        ? [].concat(text('?'), typeParts(type.expression))
+        : [].concat(typeParts(type.expression), text('?'));
+    case 'NonNullableType':
+      return type.prefix
+        ? [].concat(text('!'), typeParts(type.expression))
+        : [].concat(typeParts(type.expression), text('!'));
+    default:
+      return text(type.name || type.type);
+  }
+};
+
+/**
+ * Writes a doctrine type out as text
+ * @param { object } type the doctrine type
+ * @return { string } the type as it would be written in a tag
+ */
+export const typeToString = type => typeParts(type).map(part => part.text).join('');
@@ -0,0 +1,58 @@
+const path = require('path');
+const templateRC = require('./client/dist/.gutenRCTemplate.json');
+const extract = require('./src/parser/extract.js');
+const parseComments = require('./src/parser/parseComments.js');
+const { loadCache, saveCache } = require('./src/parser/cache.js');
+const { execSorts, cleanAST } = require('./src/sorters/execSorts.js');
+const { saveTags } = require('./src/parser/saveTags.js');
+
+// settings made of several parts, giving one part keeps the defaults of the others
+const nestedSettings = ['skeleton', 'lint', 'markdown'];
+
+/**
+ * @description Fills in the defaults for anything the config leaves out.  The skeleton,
+ * lint and markdown settings are merged a level deeper, so setting the sortByOrder keeps
+ * the options of every sorter
+ * @param { object } config the .gutenrc.json settings to use
+ * @return { object } the settings with the defaults filled in
+ */
+const withDefaults = (config = {}) => nestedSettings.reduce((settings, key) => {
+  if (config[key] === undefined) return settings;
+  const merged = Object.assign({}, templateRC[key], config[key]);
+  if (key === 'lint') merged.rules = Object.assign({}, templateRC.lint.rules, config.lint.rules);
+  return Object.assign(settings, { [key]: merged });
+}, Object.assign({}, templateRC, config));
+
+/**
+ * @description Runs the whole parse without the command line.  Nothing is read from
+ * a .gutenrc.json, the settings come from config with the defaults filled in for
+ * anything it leaves out, see withDefaults
+ * @param { object } options { root, config, input, save }
+ * root is the folder of the project being documented, defaults to the cwd.
+ * config holds any .gutenrc.json settings to use.
+ * input is the paths or glob patterns to document relative to root, defaults to ['./'].
+ * save writes parsedData.js and parsedData.json into the api folder when true
+ * @return { promise } resolves to the sorted comment blocks, the same data saved
+ * to parsedData.js, once the files are written.  Rejects when the parse or the save fails
+ * @example generateDocs({ root: __dirname, config: { verbosity: 0 }, input: ['src'] })
+ *   .then(blocks => console.log(blocks.length))
+ */
+const generateDocs = (options = {}) => {
+  const root = path.resolve(options.root || process.cwd());
+  const gutenrc = Object.assign(withDefaults(options.config), {
+    absPath: root.concat('/'),
+  });
+  const input = (options.input || ['./']).map(target => path.resolve(root, target));
+  const cache = loadCache(gutenrc);
+  return extract(input, gutenrc, cache).then((data) => {
+    const parsed = parseComments(data, gutenrc, cache);
+    saveCache(gutenrc, cache);
+    const sorted = execSorts(cleanAST(parsed), gutenrc);
+    if (options.save) {
+      saveTags(sorted, `${gutenrc.absPath.concat(gutenrc.apiDir)}parsedData.js`, gutenrc);
+    }
+    return sorted;
+  });
+};
+
+module.exports.generateDocs = generateDocs;
@@ -0,0 +1,78 @@
+/**
+ * A shape
+ */
+export class Shape {
+  /**
+   * Number of sides
+   */
+  sides = 0;
+
+  /**
+   * Creates a shape
+   * @param {string} name  Name of the shape
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Calculates the area
+   * @return {number}
+   */
+  area() {
+    return 0;
+  }
+}
+
+/**
+ * Helpers for shapes
+ */
+const shapeUtils = {
+  /**
+   * Checks if a value is a shape
+   * @param {*} value  Value to check
+   */
+  isShape(value) {
+    return value instanceof Shape;
+  },
+  /**
+   * The unit used for measurements
+   */
+  unit: 'cm',
+  convert: {
+    /**
+     * Converts centimeters to inches
+     * @param {number} cm  Length in centimeters
+     */
+    toInches: cm => cm / 2.54,
+  },
+};
+
+/**
+ * Calculates the perimeter
+ * @return {number}
+ */
+Shape.prototype.perimeter = function perimeter() {
+  return 0;
+};
+
+/**
+ * Adds two numbers
+ * @param {number} a  First addend
+ * @param {number} b  Second addend
+ */
+export function add(a, b) {
+  return a + b;
+}
+
+/**
+ * Default precision
+ */
+export default 2;
+
+/**
+ * Subtracts two numbers
+ * @param {number} a  Minuend
+ * @param {number} b  Subtrahend
+ */
+module.exports.sub = (a, b) => a - b;
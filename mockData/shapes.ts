@@ -0,0 +1,38 @@
+/**
+ * Something that can be measured
+ */
+export interface Measurable {
+  /**
+   * Calculates the area
+   */
+  area(precision: number): number;
+}
+
+/**
+ * A rectangle
+ */
+export class Rectangle implements Measurable {
+  /**
+   * Creates a rectangle
+   * @param width  Width of the rectangle
+   * @param {number} height  Height of the rectangle
+   */
+  constructor(private width: number, private height = 1) {}
+
+  /**
+   * Calculates the area
+   * @param precision  Number of decimals to keep
+   * @returns the area of the rectangle
+   */
+  area(precision: number): number {
+    return Number((this.width * this.height).toFixed(precision));
+  }
+}
+
+/**
+ * Sums the areas of shapes
+ * @param shapes  The shapes to add up
+ * @return
+ */
+export const totalArea = (...shapes: Measurable[]): number => shapes
+  .reduce((total, shape) => total + shape.area(2), 0);
@@ -0,0 +1,11 @@
+/**
+ * Formats the name of a person
+ * @param {Object} person  The person to format
+ * @param {string} person.first  First name
+ * @param {string} person.last  Last name
+ * @param {string} separator  Placed between each part of the name
+ * @return {string}
+ */
+function formatName({ first, last }, separator = ' ', ...titles) {
+  return titles.concat([first, last]).join(separator);
+}
@@ -0,0 +1,15 @@
+/**
+ * The parts of a name
+ * @typedef {Object} NameParts
+ * @property {string} first  First name
+ * @property {string} last  Last name
+ */
+
+/**
+ * Called once the name is formatted
+ * @callback onFormatted
+ * @param {string} name  The formatted name
+ */
+const format = (parts, done) => done(`${parts.first} ${parts.last}`);
+
+module.exports = format;
@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+const doctrine = require('doctrine');
+const {
+  exclude,
+  parseSource,
+  describeNode,
+  getDeclaredType,
+} = require('./parser/extract.js');
+const { findNodeAfter, functionTypes, getLine } = require('./parser/walk.js');
+const { getSignature, matchParamTags, returnsValue } = require('./parser/signature.js');
+const { getRC } = require('./utils.js');
+
+// the kinds of symbols that are expected to be documented
+const coveredKinds = ['function', 'class', 'method'];
+const classMemberTypes = ['MethodDefinition', 'TSAbstractMethodDefinition', 'FieldDefinition', 'ClassProperty'];
+
+/**
+ * @description Works out the percentage of symbols that are documented
+ * @param { number } documented number of documented symbols
+ * @param { number } total number of symbols
+ * @return { number } the percentage rounded to two decimal places, 100 when there are no symbols
+ */
+const toPercent = (documented, total) => (total === 0
+  ? 100
+  : Math.round((documented / total) * 10000) / 100);
+
+/**
+ * @description Lists the symbols in a file that should be documented.  These are the
+ * top level functions and classes, including exported ones, and the methods of those classes
+ * @param { object } tree the ast of the file
+ * @param { string } content the source of the file
+ * @return { array } [{ name, kind, value, node }] where node is the statement a JSDoc
+ * comment would be attached to
+ */
+const listSymbols = (tree, content) => tree.body.reduce((symbols, statement) => {
+  const found = describeNode(statement, content)
+    .filter(symbol => coveredKinds.includes(symbol.kind))
+    .map(symbol => Object.assign({ node: statement }, symbol));
+  const members = found
+    .filter(symbol => symbol.kind === 'class' && symbol.value)
+    .reduce((all, owner) => all.concat(owner.value.body.body
+      .filter(member => classMemberTypes.includes(member.type))
+      .reduce((methods, member) => methods.concat(describeNode(member, content)
+        .filter(symbol => symbol.kind === 'method')
+        .map(symbol => Object.assign({}, symbol, {
+          name: `${owner.name}.${symbol.name}`,
+          node: member,
+        }))), [])), []);
+  return symbols.concat(found, members);
+}, []);
+
+/**
+ * @description Lists what is missing from the documentation of a symbol
+ * @param { object } symbol the symbol from listSymbols
+ * @param { string } comment the JSDoc comment attached to the symbol, if any
+ * @param { string } content the source of the file
+ * @param { object } gutenrc the gutenrc settings
+ * @return { array } descriptions of the problems, empty when the symbol is fully documented
+ */
+const findProblems = (symbol, comment, content, gutenrc) => {
+  if (comment === undefined) return ['missing JSDoc'];
+  const { value } = symbol;
+  if (!value || !functionTypes.includes(value.type)) return [];
+  const { tags } = doctrine.parse(comment, { ...gutenrc.doctrineSettings });
+  const { params } = getSignature(value, content);
+  const problems = matchParamTags(params, tags)
+    .map((tag, index) => (tag === undefined ? `missing @param ${params[index].name}` : undefined))
+    .filter(problem => problem !== undefined);
+  const hasReturn = tags.some(tag => tag.title === 'return' || tag.title === 'returns');
+  if (!hasReturn && returnsValue(value)) problems.push('missing @return');
+  return problems;
+};
+
+/**
+ * @description Checks the documentation of every symbol in a single file
+ * @param { string } content the source of the file
+ * @param { string } fileName name of the file, TypeScript files are parsed as TypeScript
+ * @param { object } gutenrc the gutenrc settings
+ * @return { object } { name, total, documented, percent, missing } where missing lists
+ * { name, kind, line, problems } for each symbol that is not fully documented
+ */
+const fileCoverage = (content, fileName, gutenrc) => {
+  const { tree, comments } = parseSource(content, fileName);
+  const attached = new Map();
+  // a @typedef or @callback documents a type of its own, like in the parse
+  comments.filter(comment => getDeclaredType(comment.comment) === undefined).forEach((comment) => {
+    const result = findNodeAfter(tree, comment.pos);
+    if (result !== undefined) attached.set(result.node, comment.comment);
+  });
+  const symbols = listSymbols(tree, content);
+  const missing = symbols
+    .map(symbol => ({
+      name: symbol.name,
+      kind: symbol.kind,
+      line: getLine(content, symbol.node.range[0]),
+      problems: findProblems(symbol, attached.get(symbol.node), content, gutenrc),
+    }))
+    .filter(symbol => symbol.problems.length !== 0);
+  const documented = symbols.length - missing.length;
+  return {
+    name: fileName,
+    total: symbols.length,
+    documented,
+    percent: toPercent(documented, symbols.length),
+    missing,
+  };
+};
+
+/**
+ * @description Measures how much of the code is documented.  Files are found the same way
+ * the parse command finds them, so the .gutenignore is respected
+ * @param { array } arr the paths or glob patterns to check
+ * @param { object } gutenrc the gutenrc settings, found with getRC() when left out
+ * @return { promise } resolves to { files, total, documented, percent, unparsable }, rejects
+ * when no files were found so an empty check can't pass
+ */
+const coverage = (arr, gutenrc = getRC()) => exclude(arr, gutenrc).then((list) => {
+  if (list.length === 0) {
+    throw new Error('Unable to measure coverage, no files were found.  Name the files to check or use --all');
+  }
+  const files = [];
+  const unparsable = [];
+  list.forEach((file) => {
+    const content = fs.readFileSync(`${path.dirname(gutenrc.absPath)}/${file}`, 'utf8');
+    try {
+      files.push(fileCoverage(content, file, gutenrc));
+    } catch (e) {
+      unparsable.push(file);
+    }
+  });
+  const total = files.reduce((sum, file) => sum + file.total, 0);
+  const documented = files.reduce((sum, file) => sum + file.documented, 0);
+  return {
+    files,
+    total,
+    documented,
+    percent: toPercent(documented, total),
+    unparsable,
+  };
+});
+
+/**
+ * @description Formats a coverage report to be printed in the terminal
+ * @param { object } report the report coverage resolves to
+ * @return { string } the per file percentages followed by what is missing and the total
+ */
+const formatReport = (report) => {
+  const lines = [];
+  report.files.forEach((file) => {
+    lines.push(`${file.percent}%\t${file.documented}/${file.total}\t${file.name}`);
+    file.missing.forEach((symbol) => {
+      lines.push(`\t${file.name}:${symbol.line} ${symbol.kind} ${symbol.name}: ${symbol.problems.join(', ')}`);
+    });
+  });
+  if (report.unparsable.length !== 0) {
+    lines.push(`\n${report.unparsable.length} files were unparsable`);
+    report.unparsable.forEach(file => lines.push(`\t${file}`));
+  }
+  lines.push(`\nTotal: ${report.percent}% (${report.documented}/${report.total})`);
+  return lines.join('\n');
+};
+
+module.exports.coverage = coverage;
+module.exports.fileCoverage = fileCoverage;
+module.exports.formatReport = formatReport;
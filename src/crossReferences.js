@@ -0,0 +1,144 @@
+const { isURL, linkTagPattern, readLinkTag } = require('./links.js');
+const { createLookup } = require('./lookup.js');
+
+const inlineLinkPattern = new RegExp(linkTagPattern.source, 'g');
+
+// types every reader knows, a type naming one of these isn't expected to be documented
+const builtInTypes = [
+  'any', 'Array', 'ArrayBuffer', 'bigint', 'BigInt', 'boolean', 'Boolean', 'Buffer', 'Date',
+  'Element', 'Error', 'Event', 'Function', 'function', 'HTMLElement', 'Infinity', 'Iterable',
+  'Iterator', 'Map', 'NaN', 'never', 'Node', 'null', 'number', 'Number', 'object', 'Object',
+  'Promise', 'Proxy', 'RegExp', 'Set', 'string', 'String', 'Symbol', 'symbol', 'TypeError',
+  'undefined', 'unknown', 'void', 'WeakMap', 'WeakSet', 'Window',
+];
+
+// #instance and ~inner members are looked up the same way as .static ones
+const toKey = target => target.replace(/[#~]/g, '.').replace(/\(\)$/, '');
+
+/**
+ * @description Maps every name a block can be linked to by onto its anchor, the
+ * name + id of the heading BodyFunctionDesc renders for it
+ * @param { array } data the sorted comment blocks from execSorts
+ * @return { object } the anchor of each block keyed by its name and its dotted path
+ */
+const getAnchors = (data) => {
+  const anchors = createLookup();
+  data.filter(block => block.name).forEach((block) => {
+    const anchor = block.name.concat(block.id);
+    const keys = [block.name].concat(block.memberOf ? toKey(`${block.memberOf}.${block.name}`) : []);
+    // the first one documented wins when two share a name
+    keys.filter(key => anchors[key] === undefined).forEach((key) => { anchors[key] = anchor; });
+  });
+  return anchors;
+};
+
+/**
+ * @description Finds the anchor a link from a block points to.  Members of the block, or
+ * of whatever the block belongs to, are tried before the name on its own
+ * @param { string } target the name as written in the link
+ * @param { object } block the block the link is in
+ * @param { object } anchors from getAnchors
+ * @return { string } the anchor, or undefined when nothing documented has that name
+ */
+const findAnchor = (target, block, anchors) => {
+  const key = toKey(target);
+  const scopes = [block.memberOf && toKey(`${block.memberOf}.${block.name}`), block.name, block.memberOf]
+    .filter(scope => scope);
+  const found = scopes.map(scope => anchors[`${toKey(scope)}.${key}`])
+    .find(anchor => anchor !== undefined);
+  return found || anchors[key];
+};
+
+/**
+ * @description Gathers the names of every doctrine NameExpression in a type
+ * @param { object } type the doctrine type of a tag
+ * @return { array } the names, Array.<Shape> gives Array and Shape
+ */
+const getTypeNames = (type) => {
+  if (!type || typeof type !== 'object') return [];
+  if (type.type === 'NameExpression') return [type.name];
+  return Object.keys(type)
+    .map(key => type[key])
+    .reduce((names, value) => names.concat(Array.isArray(value)
+      ? value.reduce((inner, element) => inner.concat(getTypeNames(element)), [])
+      : getTypeNames(value)), []);
+};
+
+/**
+ * @description Gathers the targets a block links to
+ * @param { object } block the sorted comment block
+ * @return { object } { links, types } the targets of {@link} and @see tags, and the type
+ * names of its tags
+ */
+const getTargets = (block) => {
+  const links = [];
+  const texts = [block.description].concat(block.tags.map(tag => tag.description));
+  texts.filter(text => typeof text === 'string').forEach((text) => {
+    let match = inlineLinkPattern.exec(text);
+    while (match !== null) {
+      links.push(readLinkTag(match).target);
+      match = inlineLinkPattern.exec(text);
+    }
+  });
+  // @see and @link can also name the target without wrapping it in {@link}
+  block.tags
+    .filter(tag => ['see', 'link'].includes(tag.title))
+    .map(tag => (tag.description || '').trim())
+    .filter(description => description.length !== 0 && description[0] !== '{')
+    .forEach(description => links.push(description.split(/\s/)[0]));
+  const types = block.tags.reduce((names, tag) => names.concat(getTypeNames(tag.type)), []);
+  return { links, types };
+};
+
+/**
+ * @description Resolves the cross references of every block
+ * @param { array } data the sorted comment blocks from execSorts
+ * @return { object } { blocks, warnings } where each block has links, the anchor of each
+ * target it links to, and warnings lists the links that didn't resolve
+ */
+const findLinks = (data) => {
+  const anchors = getAnchors(data);
+  const warnings = [];
+  const blocks = data.map((block) => {
+    const { links, types } = getTargets(block);
+    const resolved = {};
+    links.filter(target => !isURL(target)).forEach((target) => {
+      const anchor = findAnchor(target, block, anchors);
+      if (anchor !== undefined) resolved[target] = anchor;
+      else warnings.push({ target, name: block.name, pathName: block.pathName });
+    });
+    // types from outside the project are common, so only the ones that resolve are kept
+    types.filter(name => !builtInTypes.includes(name)).forEach((name) => {
+      const anchor = findAnchor(name, block, anchors);
+      if (anchor !== undefined) resolved[name] = anchor;
+    });
+    return Object.keys(resolved).length === 0
+      ? block
+      : Object.assign({}, block, { links: resolved });
+  });
+  return { blocks, warnings };
+};
+
+/**
+ * @description Links the {@link} tags, @see tags and type names of every block to the
+ * blocks they name, warning about any link that doesn't resolve
+ * @param { array } data the sorted comment blocks from execSorts
+ * @param { object } gutenrc the gutenrc settings
+ * @return { array } the blocks, with links added to the ones that link to others
+ */
+const resolveLinks = (data, gutenrc = {}) => {
+  const { blocks, warnings } = findLinks(data);
+  if (warnings.length !== 0 && gutenrc.verbosity >= 1) {
+    /* eslint-disable-next-line no-console */
+    console.log(`\n${warnings.length} links could not be resolved\n***********`);
+    warnings.forEach(({ target, name, pathName }) => {
+      /* eslint-disable-next-line no-console */
+      console.log(`${target} linked from ${name || 'a comment'} in ${pathName}`);
+    });
+  }
+  return blocks;
+};
+
+module.exports.getAnchors = getAnchors;
+module.exports.findLinks = findLinks;
+module.exports.resolveLinks = resolveLinks;
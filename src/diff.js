@@ -0,0 +1,246 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { loadVersions } = require('./versions.js');
+const { getRC } = require('./utils.js');
+const { typeText } = require('./types.js');
+
+// what each kind of change is called in the text and markdown output
+const changeNames = {
+  kind: 'Kind',
+  params: 'Parameters',
+  returns: 'Returns',
+  type: 'Type',
+};
+
+/**
+ * @description Pulls the blocks out of a saved parse, which is either the versioned
+ * document written to parsedData.json and parsedData.js or the array older parses wrote
+ * to parsedData.js
+ * @param { object } data the loaded data
+ * @param { string } filePath where it was loaded from, for the error
+ * @return { array } the sorted comment blocks
+ */
+const toBlocks = (data, filePath) => {
+  if (Array.isArray(data)) return data;
+  if (data instanceof Object && Array.isArray(data.blocks)) return data.blocks;
+  throw new Error(`Unable to diff, ${filePath} does not hold a parse of the API`);
+};
+
+/**
+ * @description Finds the file of a saved parse.  The target can be the label of a saved
+ * version, latest for the last parse in the api folder, a folder holding parsedData.json
+ * or parsedData.js, or the path of either file
+ * @param { string } target what to load, as given on the command line
+ * @param { object } gutenrc the gutenrc settings
+ * @return { string } the path of the file
+ */
+const findParse = (target, gutenrc) => {
+  const apiPath = gutenrc.absPath.concat(gutenrc.apiDir);
+  const version = loadVersions(gutenrc).versions.find(saved => saved.label === target);
+  let folder;
+  if (target === 'latest') folder = apiPath;
+  else if (version !== undefined) folder = path.join(apiPath, version.path);
+  else if (fs.existsSync(target) && fs.statSync(target).isDirectory()) folder = target;
+  else if (fs.existsSync(target)) return target;
+  const found = folder === undefined ? undefined : ['parsedData.json', 'parsedData.js']
+    .map(file => path.join(folder, file))
+    .find(file => fs.existsSync(file));
+  if (found === undefined) {
+    throw new Error(`Unable to diff, there is no saved parse or version called ${target}`);
+  }
+  return found;
+};
+
+/**
+ * @description Loads the blocks of a saved parse
+ * @param { string } target the version, folder or file to load, see findParse
+ * @param { object } gutenrc the gutenrc settings, found with getRC() when left out
+ * @return { array } the sorted comment blocks
+ */
+const loadParse = (target, gutenrc = getRC()) => {
+  const filePath = findParse(target, gutenrc);
+  const source = fs.readFileSync(filePath).toString();
+  if (path.extname(filePath) === '.json') return toBlocks(JSON.parse(source), filePath);
+  // parsedData.js only sets the data on the window of the page
+  const sandbox = { window: {} };
+  vm.runInNewContext(source, sandbox);
+  return toBlocks(sandbox.window.parsedData, filePath);
+};
+
+/**
+ * @description Describes the parameters of a block from its signature, typed by the
+ * signature or else by the matching @param tag.  Blocks with no signature, like a
+ * @callback, fall back to their @param tags
+ * @param { object } block the comment block
+ * @return { string } the parameters as name: type, separated by commas
+ */
+const formatParams = (block) => {
+  const tags = block.tags.filter(tag => tag.title === 'param' && tag.name);
+  const params = block.params === undefined
+    ? tags.map(tag => ({ name: tag.name, type: typeText(tag.type) }))
+    : block.params.map((param) => {
+      const tag = param.documented ? tags.find(found => found.name === param.name) : undefined;
+      return {
+        name: param.rest ? `...${param.name}` : param.name,
+        type: param.type || (tag ? typeText(tag.type) : ''),
+      };
+    });
+  return params.map(param => (param.type ? `${param.name}: ${param.type}` : param.name)).join(', ');
+};
+
+/**
+ * @description Reads the type of the first tag with one of the titles
+ * @param { object } block the comment block
+ * @param { array } titles the titles of the tags to look at
+ * @return { string } the type, empty when none of the tags has one
+ */
+const tagType = (block, titles) => {
+  const tag = block.tags.find(found => titles.includes(found.title) && found.type);
+  return tag ? typeText(tag.type) : '';
+};
+
+/**
+ * @description Gathers the parts of a block that a change to the API would show up in
+ * @param { object } block the comment block
+ * @return { object } the text of each part in changeNames
+ */
+const describeBlock = block => ({
+  kind: block.kind || '',
+  params: formatParams(block),
+  returns: tagType(block, ['return', 'returns']) || block.returns || '',
+  type: tagType(block, ['type']),
+});
+
+/**
+ * @description Keys every named block by its path, memberOf and name.  Blocks that share
+ * all three, like overloads, are numbered in the order they appear
+ * @param { array } blocks the sorted comment blocks
+ * @return { object } the blocks keyed by where they are
+ */
+const keyBlocks = (blocks) => {
+  const keyed = {};
+  blocks.filter(block => block.name).forEach((block) => {
+    const key = [block.pathName, block.memberOf, block.name].map(part => part || '').join(':');
+    let uniqueKey = key;
+    for (let i = 2; keyed[uniqueKey] !== undefined; i += 1) uniqueKey = `${key}:${i}`;
+    keyed[uniqueKey] = block;
+  });
+  return keyed;
+};
+
+/**
+ * @description Summarizes a block for the diff
+ * @param { object } block the comment block
+ * @return { object } { name, kind, pathName } where name includes what it is a member of
+ */
+const toSymbol = block => ({
+  name: block.memberOf ? `${block.memberOf}.${block.name}` : block.name,
+  kind: block.kind,
+  pathName: block.pathName,
+});
+
+const isDeprecated = block => block.tags.some(tag => tag.title === 'deprecated');
+
+/**
+ * @description Compares two parses of the API
+ * @param { array } oldBlocks the blocks of the older parse
+ * @param { array } newBlocks the blocks of the newer parse
+ * @return { object } { added, removed, changed, deprecated } where changed symbols list
+ * their changes as [{ what, before, after }] and deprecated ones have the reason
+ * @example diffAPIs(loadParse('1.0.0'), loadParse('latest')).changed
+ */
+const diffAPIs = (oldBlocks, newBlocks) => {
+  const before = keyBlocks(oldBlocks);
+  const after = keyBlocks(newBlocks);
+  const diff = {
+    added: [],
+    removed: [],
+    changed: [],
+    deprecated: [],
+  };
+  Object.keys(after)
+    .filter(key => before[key] === undefined)
+    .forEach(key => diff.added.push(toSymbol(after[key])));
+  Object.keys(before).forEach((key) => {
+    const oldBlock = before[key];
+    const newBlock = after[key];
+    if (newBlock === undefined) {
+      diff.removed.push(toSymbol(oldBlock));
+      return;
+    }
+    const oldParts = describeBlock(oldBlock);
+    const newParts = describeBlock(newBlock);
+    const changes = Object.keys(changeNames)
+      .filter(what => oldParts[what] !== newParts[what])
+      .map(what => ({ what, before: oldParts[what], after: newParts[what] }));
+    if (changes.length !== 0) diff.changed.push(Object.assign(toSymbol(newBlock), { changes }));
+    if (isDeprecated(newBlock) && !isDeprecated(oldBlock)) {
+      const tag = newBlock.tags.find(found => found.title === 'deprecated');
+      diff.deprecated.push(Object.assign(toSymbol(newBlock), { reason: tag.description || '' }));
+    }
+  });
+  return diff;
+};
+
+const countChanges = diff => diff.added.length + diff.removed.length + diff.changed.length
+  + diff.deprecated.length;
+
+/**
+ * @description Formats a diff to be printed in the terminal
+ * @param { object } diff the diff from diffAPIs
+ * @return { string } every added, removed, changed and deprecated symbol and the totals
+ */
+const formatText = (diff) => {
+  if (countChanges(diff) === 0) return 'No changes to the API';
+  const describe = symbol => `${symbol.kind ? `${symbol.kind} ` : ''}${symbol.name}\t${symbol.pathName}`;
+  const lines = [];
+  const section = (title, symbols, mark, details) => {
+    if (symbols.length === 0) return;
+    lines.push(`${title} (${symbols.length})`);
+    symbols.forEach((symbol) => {
+      lines.push(`  ${mark} ${describe(symbol)}`);
+      details(symbol).forEach(detail => lines.push(`      ${detail}`));
+    });
+    lines.push('');
+  };
+  section('Added', diff.added, '+', () => []);
+  section('Removed', diff.removed, '-', () => []);
+  section('Changed', diff.changed, '~', symbol => symbol.changes
+    .map(change => `${changeNames[change.what]}: ${change.before || '(none)'} -> ${change.after || '(none)'}`));
+  section('Deprecated', diff.deprecated, '!', symbol => (symbol.reason ? [symbol.reason] : []));
+  lines.push(`${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed, ${diff.deprecated.length} deprecated`);
+  return lines.join('\n');
+};
+
+/**
+ * @description Formats a diff as the API changes section of release notes
+ * @param { object } diff the diff from diffAPIs
+ * @return { string } markdown with a list for each kind of change
+ */
+const formatMarkdown = (diff) => {
+  const lines = ['## API changes', ''];
+  if (countChanges(diff) === 0) return lines.concat('No changes to the API.', '').join('\n');
+  const describe = symbol => `\`${symbol.name}\`${symbol.kind ? ` (${symbol.kind})` : ''}`;
+  const code = text => (text ? `\`${text}\`` : '*none*');
+  const section = (title, symbols, details) => {
+    if (symbols.length === 0) return;
+    lines.push(`### ${title}`, '');
+    symbols.forEach((symbol) => {
+      lines.push(`- ${describe(symbol)}`);
+      details(symbol).forEach(detail => lines.push(`  - ${detail}`));
+    });
+    lines.push('');
+  };
+  section('Added', diff.added, () => []);
+  section('Removed', diff.removed, () => []);
+  section('Changed', diff.changed, symbol => symbol.changes
+    .map(change => `${changeNames[change.what]}: ${code(change.before)} → ${code(change.after)}`));
+  section('Deprecated', diff.deprecated, symbol => (symbol.reason ? [symbol.reason] : []));
+  return lines.join('\n');
+};
+
+module.exports.loadParse = loadParse;
+module.exports.diffAPIs = diffAPIs;
+module.exports.formatText = formatText;
+module.exports.formatMarkdown = formatMarkdown;
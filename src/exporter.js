@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const mimeTypes = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.webp': 'image/webp',
+};
+
+/**
+ * @description Checks if a url points at a file next to the page rather than somewhere else
+ * @param { string } url the src or href being inlined
+ * @return { boolean } true for relative paths
+ */
+const isLocal = url => !/^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(url);
+
+/**
+ * @description Reads a file out of the api folder
+ * @param { string } apiPath path to the api folder
+ * @param { string } url the path of the file relative to index.html
+ * @return { string } the contents of the file
+ */
+const readAsset = (apiPath, url) => {
+  const assetPath = path.join(apiPath, url.split(/[?#]/)[0]);
+  if (!fs.existsSync(assetPath)) {
+    throw new Error(`Unable to export, ${url} is missing from your API folder.  Run "gutendocs parse" and make sure the client has been built.`);
+  }
+  return fs.readFileSync(assetPath);
+};
+
+/**
+ * @description Turns a local image into a data uri so it can be embedded in the page
+ * @param { string } apiPath path to the api folder
+ * @param { string } url the path of the image relative to index.html
+ * @return { string } the data uri, or the url unchanged when it is not a local image
+ */
+const toDataURI = (apiPath, url) => {
+  const mimeType = mimeTypes[path.extname(url.split(/[?#]/)[0]).toLowerCase()];
+  if (!isLocal(url) || mimeType === undefined) return url;
+  return `data:${mimeType};base64,${readAsset(apiPath, url).toString('base64')}`;
+};
+
+/**
+ * @description Makes text safe to place inside of a script or style tag
+ * @param { string } text the javascript or css
+ * @param { string } tag the name of the tag the text goes in
+ * @return { string } the text with any closing tags escaped
+ */
+const escapeClosingTag = (text, tag) => text.replace(new RegExp(`</(${tag})`, 'gi'), '<\\/$1');
+
+/**
+ * @description Inlines the local images a stylesheet refers to
+ * @param { string } css the stylesheet
+ * @param { string } apiPath path to the api folder
+ * @return { string } the stylesheet with its local url()s replaced by data uris
+ */
+const inlineCSS = (css, apiPath) => css
+  .replace(/url\((['"]?)([^'")]+)\1\)/g, (match, quote, url) => `url("${toDataURI(apiPath, url)}")`);
+
+/**
+ * @description Loads designSettings.js and embeds the images it points to, the banner
+ * logo is loaded by the bundle so it can't be found by looking at the html
+ * @param { string } source the contents of designSettings.js
+ * @param { string } apiPath path to the api folder
+ * @return { string } a script setting window.configData
+ */
+const inlineDesignSettings = (source, apiPath) => {
+  const sandbox = { window: {}, module: {} };
+  vm.runInNewContext(source, sandbox);
+  const configData = sandbox.window.configData || sandbox.module.exports;
+  if (configData && configData.banner && configData.banner.src) {
+    configData.banner.src = toDataURI(apiPath, configData.banner.src);
+  }
+  return `window.configData = ${JSON.stringify(configData, null, 2)};`;
+};
+
+// scripts that are saved as json instead when the dataFormats leave out js
+const dataScripts = ['parsedData.js', 'searchIndex.js'];
+
+/**
+ * @description Reads a script so it can be placed inside of the page
+ * @param { string } apiPath path to the api folder
+ * @param { string } src the path of the script relative to index.html
+ * @return { string } the script, for the data scripts the json output is used when
+ * only that format was saved
+ */
+const inlineScript = (apiPath, src) => {
+  const jsonPath = path.join(apiPath, src.replace(/\.js$/, '.json'));
+  if (dataScripts.includes(path.basename(src)) && !fs.existsSync(path.join(apiPath, src))
+    && fs.existsSync(jsonPath)) {
+    return `window.${path.basename(src, '.js')} = ${fs.readFileSync(jsonPath)};`;
+  }
+  const source = readAsset(apiPath, src).toString();
+  return path.basename(src) === 'designSettings.js'
+    ? inlineDesignSettings(source, apiPath)
+    : source;
+};
+
+/**
+ * @description Builds a single html file holding the whole API.  The stylesheets, scripts
+ * and images index.html loads from the api folder are embedded in it so it can be opened
+ * offline or shared on its own
+ * @param { object } gutenrc the gutenrc settings
+ * @return { string } the self contained html
+ */
+const buildSingleFile = (gutenrc) => {
+  const apiPath = gutenrc.absPath.concat(gutenrc.apiDir);
+  const html = readAsset(apiPath, 'index.html').toString();
+  return html
+    .replace(/<link\b[^>]*>/gi, (tag) => {
+      const href = (tag.match(/href\s*=\s*["']([^"']+)["']/i) || [])[1];
+      if (!/rel\s*=\s*["']stylesheet["']/i.test(tag) || !href || !isLocal(href)) return tag;
+      const css = inlineCSS(readAsset(apiPath, href).toString(), apiPath);
+      return `<style>\n${escapeClosingTag(css, 'style')}\n</style>`;
+    })
+    .replace(/<script\b([^>]*)\bsrc\s*=\s*["']([^"']+)["']([^>]*)>\s*<\/script>/gi, (tag, before, src, after) => {
+      if (!isLocal(src)) return tag;
+      // the export holds a single version, the others are separate files it can't load
+      if (path.basename(src) === 'versions.js') return '';
+      const script = inlineScript(apiPath, src);
+      return `<script${before}${after}>\n${escapeClosingTag(script, 'script')}\n</script>`;
+    })
+    .replace(/(<img\b[^>]*\bsrc\s*=\s*["'])([^"']+)(["'])/gi,
+      (match, before, src, after) => `${before}${toDataURI(apiPath, src)}${after}`);
+};
+
+/**
+ * @description Saves the API as a single self contained html file
+ * @param { object } gutenrc the gutenrc settings
+ * @param { string } output where to save the file, defaults to the name of the api
+ * folder with a .html extension next to the api folder
+ * @return { string } the path the file was saved to
+ */
+const exportSingleFile = (gutenrc, output) => {
+  const writePath = output || gutenrc.absPath.concat(gutenrc.apiDir.replace(/\/$/, '')).concat('.html');
+  fs.writeFileSync(writePath, buildSingleFile(gutenrc));
+  return writePath;
+};
+
+module.exports.buildSingleFile = buildSingleFile;
+module.exports.exportSingleFile = exportSingleFile;
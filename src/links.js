@@ -0,0 +1,26 @@
+/**
+ * @description Checks if a link target is a url rather than the name of something
+ * documented.  The site imports this too, so a target the parser leaves alone is always
+ * one the site renders as a link
+ * @param { string } target what is being linked to
+ * @return { boolean } true for http and https urls
+ */
+const isURL = target => /^https?:\/\//i.test(target);
+
+// [text]{@link target} and {@link target|text} or {@link target text}, the same for
+// {@linkcode} and {@linkplain}.  Add the g flag with new RegExp to find every one in a text
+const linkTagPattern = /\[([^\]]*)\]\{@link(code|plain)?\s+([^\s|}]+)\s*\}|\{@link(code|plain)?\s+([^\s|}]+)(?:\s*\|\s*|\s+)?([^}]*)\}/;
+
+/**
+ * @description Reads a match of linkTagPattern, whichever way the {@link} was written
+ * @param { array } match the match of linkTagPattern
+ * @return { object } { target, text, code } where text is empty when only the target was
+ * given and code is true for {@linkcode}
+ */
+const readLinkTag = match => (match[3] !== undefined
+  ? { target: match[3], text: match[1].trim(), code: match[2] === 'code' }
+  : { target: match[5], text: match[6].trim(), code: match[4] === 'code' });
+
+module.exports.isURL = isURL;
+module.exports.linkTagPattern = linkTagPattern;
+module.exports.readLinkTag = readLinkTag;
@@ -0,0 +1,230 @@
+const fs = require('fs');
+const path = require('path');
+const doctrine = require('doctrine');
+const templateRC = require('../client/dist/.gutenRCTemplate.json');
+const {
+  exclude,
+  parseSource,
+  describeNode,
+  getDeclaredType,
+} = require('./parser/extract.js');
+const { findNodeAfter, functionTypes, getLine } = require('./parser/walk.js');
+const { getSignature, matchParamTags, returnsValue } = require('./parser/signature.js');
+const { getRC } = require('./utils.js');
+
+const severities = ['off', 'warn', 'error'];
+
+// block tags from JSDoc 3 and their synonyms, inline tags like {@link} are not block tags
+const knownTags = [
+  'abstract', 'access', 'alias', 'arg', 'argument', 'async', 'augments', 'author', 'borrows',
+  'callback', 'class', 'classdesc', 'const', 'constant', 'constructor', 'constructs', 'copyright',
+  'default', 'defaultvalue', 'deprecated', 'desc', 'description', 'emits', 'enum', 'event',
+  'example', 'exception', 'exports', 'extends', 'external', 'file', 'fileoverview', 'fires',
+  'func', 'function', 'generator', 'global', 'hideconstructor', 'host', 'ignore', 'implements',
+  'inheritdoc', 'inner', 'instance', 'interface', 'kind', 'lends', 'license', 'listens',
+  'member', 'memberof', 'method', 'mixes', 'mixin', 'module', 'name', 'namespace', 'override',
+  'overview', 'package', 'param', 'private', 'prop', 'property', 'protected', 'public',
+  'readonly', 'requires', 'return', 'returns', 'see', 'since', 'static', 'summary', 'this',
+  'throws', 'todo', 'tutorial', 'type', 'typedef', 'var', 'variation', 'version', 'virtual',
+  'yield', 'yields',
+];
+
+// tags GutenDocs reads itself
+const gutenDocsTags = ['order'];
+
+// the errors doctrine gives a tag for anything but its {type}
+const tagErrors = /^(Missing or invalid tag name|Missing or invalid title|Invalid kind name|Invalid access name|Invalid name for this|Invalid variation|Unknown content)/;
+
+/**
+ * @description Gets the severity of every rule, filling in the defaults for any rule
+ * the gutenrc leaves out
+ * @param { object } gutenrc the gutenrc settings
+ * @return { object } the severity of each rule keyed by the rule name
+ */
+const getRules = (gutenrc) => {
+  const rules = Object.assign({}, templateRC.lint.rules, (gutenrc.lint || {}).rules);
+  Object.keys(rules).forEach((rule) => {
+    if (!severities.includes(rules[rule])) {
+      throw new Error(`The severity of the lint rule ${rule} in your .gutenrc.json must be one of ${severities.join(', ')}`);
+    }
+  });
+  return rules;
+};
+
+/**
+ * @description Lists the tags that are allowed besides the JSDoc ones, which are the tag
+ * used by sortByTag and any listed in lint.customTags
+ * @param { object } gutenrc the gutenrc settings
+ * @return { array } the lowercase names of the allowed tags
+ */
+const getCustomTags = (gutenrc) => {
+  const { sortByTag } = gutenrc.skeleton || {};
+  const tags = ((gutenrc.lint || {}).customTags || []).slice();
+  if (sortByTag && sortByTag.tag) tags.push(sortByTag.tag);
+  return tags.map(tag => tag.replace(/^@/, '').toLowerCase());
+};
+
+/**
+ * @description Checks the @param tags of a comment against the parameters of the
+ * function it documents
+ * @param { array } tags the doctrine tags of the comment
+ * @param { array } params the parameters from the signature of the function
+ * @param { string } name the name of the function
+ * @return { array } [{ rule, tag, message }] for each problem found
+ */
+const checkParams = (tags, params, name) => {
+  const paramTags = tags.filter(tag => tag.title === 'param' && tag.name);
+  const problems = [];
+  paramTags.forEach((tag, index) => {
+    if (paramTags.findIndex(other => other.name === tag.name) !== index) {
+      problems.push({ rule: 'duplicate-param', tag, message: `@param ${tag.name} is documented more than once` });
+    }
+  });
+  const matched = matchParamTags(params, tags)
+    .filter(tag => tag !== undefined)
+    .map(tag => tag.name);
+  paramTags
+    .filter(tag => !matched.includes(tag.name.split('.')[0]))
+    .forEach((tag) => {
+      problems.push({ rule: 'param-mismatch', tag, message: `@param ${tag.name} does not match any parameter of ${name}` });
+    });
+  return problems;
+};
+
+/**
+ * @description Finds every problem in a single JSDoc comment
+ * @param { object } comment the comment from parseSource
+ * @param { object } documented the symbol the comment documents, from describeNode
+ * @param { string } content the source of the file
+ * @param { object } gutenrc the gutenrc settings
+ * @return { array } [{ rule, line, message }] for each problem found
+ */
+const checkComment = (comment, documented, content, gutenrc) => {
+  const { tags } = doctrine.parse(comment.comment, {
+    ...gutenrc.doctrineSettings,
+    lineNumbers: true,
+  });
+  const customTags = getCustomTags(gutenrc);
+  const { value, name } = documented || {};
+  const isFunction = value !== undefined && functionTypes.includes(value.type);
+  const signature = isFunction ? getSignature(value, content) : {};
+  const commentLines = comment.comment.split('\n');
+  // a @return without a type is fine when the TypeScript signature gives the type
+  const typedBySignature = tag => ['return', 'returns'].includes(tag.title)
+    && signature.returns !== undefined
+    && !commentLines[tag.lineNumber].includes('{');
+  const problems = [];
+  tags.forEach((tag) => {
+    const title = tag.title.toLowerCase();
+    if (!knownTags.includes(title) && !gutenDocsTags.includes(title)
+      && !customTags.includes(title)) {
+      problems.push({ rule: 'unknown-tag', tag, message: `Unknown tag @${tag.title}` });
+    }
+    const errors = tag.errors || [];
+    const typeErrors = errors.filter(error => !tagErrors.test(error));
+    const otherErrors = errors.filter(error => tagErrors.test(error));
+    if (typeErrors.length !== 0 && !typedBySignature(tag)) {
+      problems.push({ rule: 'malformed-type', tag, message: `Malformed type in @${tag.title} tag: ${typeErrors.join(', ')}` });
+    }
+    // a broken type also loses the name after it, which is already reported
+    if (otherErrors.length !== 0 && typeErrors.length === 0) {
+      problems.push({ rule: 'malformed-tag', tag, message: `Malformed @${tag.title} tag: ${otherErrors.join(', ')}` });
+    }
+  });
+  if (isFunction) {
+    problems.push(...checkParams(tags, signature.params, name));
+    const returnTag = tags.find(tag => tag.title === 'return' || tag.title === 'returns');
+    if (returnTag && !value.async && !value.generator && !returnsValue(value)) {
+      problems.push({ rule: 'return-without-value', tag: returnTag, message: `@${returnTag.title} is documented but ${name} never returns a value` });
+    }
+  }
+  const commentLine = getLine(content, comment.start);
+  return problems.map(problem => ({
+    rule: problem.rule,
+    line: commentLine + problem.tag.lineNumber,
+    message: problem.message,
+  }));
+};
+
+/**
+ * @description Lints the JSDoc comments in a single file
+ * @param { string } content the source of the file
+ * @param { string } fileName name of the file, TypeScript files are parsed as TypeScript
+ * @param { object } gutenrc the gutenrc settings
+ * @return { array } [{ rule, severity, line, message }] sorted by line, rules that are
+ * turned off are left out
+ */
+const lintFile = (content, fileName, gutenrc) => {
+  const rules = getRules(gutenrc);
+  const { tree, comments } = parseSource(content, fileName);
+  return comments
+    .reduce((diagnostics, comment) => {
+      // a @typedef or @callback documents a type of its own, like in the parse
+      const result = getDeclaredType(comment.comment) === undefined
+        ? findNodeAfter(tree, comment.pos)
+        : undefined;
+      const [documented] = result ? describeNode(result.node, content) : [];
+      return diagnostics.concat(checkComment(comment, documented, content, gutenrc));
+    }, [])
+    .map(diagnostic => Object.assign({ severity: rules[diagnostic.rule] }, diagnostic))
+    .filter(diagnostic => diagnostic.severity !== 'off')
+    .sort((a, b) => a.line - b.line);
+};
+
+/**
+ * @description Lints the JSDoc comments of every file that would be parsed.  Files are
+ * found the same way the parse command finds them, so the .gutenignore is respected
+ * @param { array } arr the paths or glob patterns to check
+ * @param { object } gutenrc the gutenrc settings, found with getRC() when left out
+ * @return { promise } resolves to { files: [{ name, diagnostics }], errors, warnings, unparsable }
+ */
+const lint = (arr, gutenrc = getRC()) => exclude(arr, gutenrc).then((list) => {
+  // checked up front so a bad severity is reported instead of every file being unparsable
+  getRules(gutenrc);
+  const files = [];
+  const unparsable = [];
+  list.forEach((file) => {
+    const content = fs.readFileSync(`${path.dirname(gutenrc.absPath)}/${file}`, 'utf8');
+    let diagnostics;
+    try {
+      diagnostics = lintFile(content, file, gutenrc);
+    } catch (e) {
+      unparsable.push(file);
+      return;
+    }
+    if (diagnostics.length !== 0) files.push({ name: file, diagnostics });
+  });
+  const count = severity => files.reduce((sum, file) => sum
+    + file.diagnostics.filter(diagnostic => diagnostic.severity === severity).length, 0);
+  return {
+    files,
+    errors: count('error'),
+    warnings: count('warn'),
+    unparsable,
+  };
+});
+
+/**
+ * @description Formats the lint results to be printed in the terminal
+ * @param { object } report the report lint resolves to
+ * @return { string } one file:line line per problem followed by the totals
+ */
+const formatDiagnostics = (report) => {
+  const lines = [];
+  report.files.forEach((file) => {
+    file.diagnostics.forEach((diagnostic) => {
+      lines.push(`${file.name}:${diagnostic.line}\t${diagnostic.severity}\t${diagnostic.message}\t${diagnostic.rule}`);
+    });
+  });
+  if (report.unparsable.length !== 0) {
+    lines.push(`\n${report.unparsable.length} files were unparsable`);
+    report.unparsable.forEach(file => lines.push(`\t${file}`));
+  }
+  const problems = report.errors + report.warnings;
+  lines.push(`\n${problems} problems (${report.errors} errors, ${report.warnings} warnings)`);
+  return lines.join('\n');
+};
+
+module.exports.lint = lint;
+module.exports.lintFile = lintFile;
+module.exports.formatDiagnostics = formatDiagnostics;
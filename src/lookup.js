@@ -0,0 +1,8 @@
+/**
+ * @description Makes an empty object to look things up by name.  It has no prototype, so
+ * names like constructor or toString aren't found on it before they are added
+ * @return { object } the empty lookup
+ */
+const createLookup = () => Object.create(null);
+
+module.exports.createLookup = createLookup;
@@ -0,0 +1,298 @@
+const fs = require('fs');
+const path = require('path');
+const { isURL, linkTagPattern, readLinkTag } = require('./links.js');
+const { typeText } = require('./types.js');
+
+const callableKinds = ['function', 'method', 'class'];
+
+const inlineLinkPattern = new RegExp(linkTagPattern.source, 'g');
+
+/**
+ * @description Orders the headers the same way the React client does, by the
+ * priority the sorters gave them
+ * @param { array } data the sorted comment blocks from execSorts
+ * @return { array } the unique headers in the order they should appear
+ */
+const sortedHeaders = (data) => {
+  const headerPriorities = {};
+  data.forEach((block) => {
+    headerPriorities[block.header] = block.priority;
+  });
+  return Object.keys(headerPriorities)
+    .sort((a, b) => headerPriorities[a] - headerPriorities[b]);
+};
+
+/**
+ * @description Creates the anchor GitHub gives a markdown heading
+ * @param { string } heading the text of the heading
+ * @return { string } the anchor, without the #
+ */
+const toAnchor = heading => heading
+  .trim()
+  .toLowerCase()
+  .replace(/[^\w\- ]/g, '')
+  .replace(/ /g, '-');
+
+/**
+ * @description Creates a file name for a header when every header gets its own file
+ * @param { string } header the header assigned by the sorters
+ * @return { string } the name of the markdown file
+ */
+const toFileName = header => `${header.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || 'section'}.md`;
+
+/**
+ * @description Gives every header a file of its own when the API is split.  Headers that
+ * come out with the same name, like a-b and a/b, are numbered so neither is overwritten
+ * @param { array } headers the headers in the order they are shown
+ * @return { object } the file name of each header
+ */
+const toFileNames = headers => headers.reduce((names, header) => {
+  const taken = Object.keys(names).map(other => names[other].toLowerCase());
+  const base = toFileName(header).slice(0, -'.md'.length);
+  let fileName = `${base}.md`;
+  for (let i = 2; taken.includes(fileName.toLowerCase()) || fileName === 'API.md'; i += 1) {
+    fileName = `${base}-${i}.md`;
+  }
+  return Object.assign(names, { [header]: fileName });
+}, {});
+
+/**
+ * @description Creates the anchors GitHub gives the headings of a document, which numbers
+ * headings that repeat
+ * @return { function } takes the text of the next heading and returns its anchor
+ */
+const anchorCounter = () => {
+  const seen = {};
+  return (heading) => {
+    const anchor = toAnchor(heading);
+    const count = seen[anchor] || 0;
+    seen[anchor] = count + 1;
+    return count === 0 ? anchor : `${anchor}-${count}`;
+  };
+};
+
+/**
+ * @description Makes text safe to put in a markdown table cell
+ * @param { string } text the text of the cell
+ * @return { string } the text with pipes escaped and line breaks turned into <br>
+ */
+const toCell = text => (text || '').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+
+/**
+ * @description Writes a doctrine type the way it would appear in a JSDoc comment
+ * @param { object } type the doctrine type
+ * @return { string } the type as inline code, empty when there is no type
+ */
+const formatType = (type) => {
+  const text = typeText(type);
+  return text ? `\`${text}\`` : '';
+};
+
+/**
+ * @description Finds the constructor documented for a class
+ * @param { object } block the comment block of the class
+ * @param { array } data the sorted comment blocks from execSorts
+ * @return { object } the block of the constructor, undefined when it isn't documented
+ */
+const findConstructor = (block, data) => data.find(other => other.name === 'constructor'
+  && other.memberOf === block.name
+  && other.pathName === block.pathName);
+
+/**
+ * @description Builds the signature shown in the heading of a comment block
+ * @param { object } block the comment block
+ * @param { array } data the sorted comment blocks, to find the constructor of a class
+ * @return { string } the name, followed by the parameters for functions, methods and classes
+ */
+const formatSignature = (block, data = []) => {
+  const name = block.memberOf ? `${block.memberOf}.${block.name}` : block.name;
+  if (block.kind !== undefined && !callableKinds.includes(block.kind)) return name;
+  // a class is called with the parameters of its constructor
+  const callable = (block.kind === 'class' && !block.params && findConstructor(block, data))
+    || block;
+  const params = callable.params
+    ? callable.params.map((param) => {
+      if (param.rest) return `...${param.name}`;
+      if (param.default !== undefined) return `[${param.name}=${param.default}]`;
+      return param.name;
+    })
+    : callable.tags
+      .filter(tag => tag.title === 'param' && tag.name && !tag.name.includes('.'))
+      .map(tag => tag.name);
+  return `${name}(${params.join(', ')})`;
+};
+
+/**
+ * @description Turns the {@link} tags in text into markdown links.  Links that resolved
+ * when parsing point at the heading of the block, urls are linked as they are and anything
+ * else is left as its text
+ * @param { string } text the text of a description
+ * @param { object } block the block the text is in, with the links resolved for it
+ * @param { object } locations the link to the heading of each block, keyed by its anchor
+ * @return { string } the text with markdown links
+ */
+const renderLinks = (text, block, locations) => (text || '')
+  .replace(inlineLinkPattern, (...match) => {
+    const { target: linkTarget, text: linkText } = readLinkTag(match);
+    const label = linkText || linkTarget;
+    if (isURL(linkTarget)) return `[${label}](${linkTarget})`;
+    const location = locations[(block.links || {})[linkTarget]];
+    if (location !== undefined) return `[${label}](${location})`;
+    return label === linkTarget ? `\`${label}\`` : label;
+  });
+
+/**
+ * @description Renders the @param tags and undocumented parameters of a block as a table
+ * @param { object } block the comment block
+ * @param { object } locations the link to the heading of each block, keyed by its anchor
+ * @return { array } the lines of the table, empty when there are no parameters
+ */
+const paramTable = (block, locations) => {
+  const rows = block.tags
+    .filter(tag => tag.title === 'param')
+    .map(tag => `| ${toCell(tag.name)} | ${formatType(tag.type)} | ${toCell(renderLinks(tag.description, block, locations))} |`)
+    .concat((block.params || [])
+      .filter(param => !param.documented)
+      .map((param) => {
+        const note = param.default === undefined
+          ? 'Not documented'
+          : `Not documented, defaults to \`${param.default}\``;
+        return `| ${toCell(param.name)} | ${param.type ? `\`${param.type}\`` : ''} | ${toCell(note)} |`;
+      }));
+  if (rows.length === 0) return [];
+  return ['**Parameters**', '', '| Name | Type | Description |', '| --- | --- | --- |']
+    .concat(rows, '');
+};
+
+/**
+ * @description Renders the @return tags of a block as a table
+ * @param { object } block the comment block
+ * @param { object } locations the link to the heading of each block, keyed by its anchor
+ * @return { array } the lines of the table, empty when nothing is returned
+ */
+const returnTable = (block, locations) => {
+  const rows = block.tags
+    .filter(tag => tag.title === 'return' || tag.title === 'returns')
+    .map(tag => `| ${formatType(tag.type)} | ${toCell(renderLinks(tag.description, block, locations))} |`);
+  if (rows.length === 0) return [];
+  return ['**Returns**', '', '| Type | Description |', '| --- | --- |'].concat(rows, '');
+};
+
+/**
+ * @description Renders the @example tags of a block as fenced code
+ * @param { object } block the comment block
+ * @return { array } the lines of the examples, empty when there are none
+ */
+const examples = (block) => {
+  const tags = block.tags.filter(tag => tag.title === 'example');
+  if (tags.length === 0) return [];
+  return tags.reduce((lines, tag) => {
+    // a longer fence than any run of backticks in the example so it can't end the block early
+    const longestRun = Math.max(2, ...(tag.description.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longestRun + 1);
+    const caption = tag.caption ? [`*${tag.caption}*`, ''] : [];
+    return lines.concat(caption, `${fence}js`, tag.description, fence, '');
+  }, ['**Examples**', '']);
+};
+
+/**
+ * @description Renders a single comment block
+ * @param { object } block the comment block
+ * @param { array } data the sorted comment blocks from execSorts
+ * @param { object } locations the link to the heading of each block, keyed by its anchor
+ * @return { array } the lines of markdown for the block
+ */
+const renderBlock = (block, data, locations) => {
+  const lines = [`### ${formatSignature(block, data)}`, ''];
+  const details = [block.kind, block.pathName].filter(detail => detail !== undefined);
+  if (details.length !== 0) lines.push(details.map(detail => `\`${detail}\``).join(' · '), '');
+  if (block.description) lines.push(renderLinks(block.description, block, locations), '');
+  return lines.concat(paramTable(block, locations), returnTable(block, locations), examples(block));
+};
+
+/**
+ * @description Renders every block under a header as its own section
+ * @param { string } header the header assigned by the sorters
+ * @param { array } data the sorted comment blocks from execSorts
+ * @param { object } locations the link to the heading of each block, keyed by its anchor
+ * @return { array } the lines of markdown for the section
+ */
+const renderSection = (header, data, locations) => data
+  .filter(block => block.header === header)
+  .reduce((lines, block) => lines.concat(renderBlock(block, data, locations)), [`## ${header}`, '']);
+
+/**
+ * @description Works out where the heading of every header and block ends up, so the
+ * table of contents and links between blocks can point at them
+ * @param { array } headers the headers in the order they are shown
+ * @param { array } data the sorted comment blocks from execSorts
+ * @param { object } fileNames the file of each header when split, undefined when not
+ * @return { object } { headers, blocks } the link to each header keyed by the header, and
+ * the link to the heading of each block keyed by its anchor, the name + id the site uses
+ */
+const findLocations = (headers, data, fileNames) => {
+  const locations = { headers: {}, blocks: {} };
+  const counters = {};
+  const counterFor = (fileName) => {
+    if (counters[fileName] === undefined) counters[fileName] = anchorCounter();
+    return counters[fileName];
+  };
+  if (fileNames === undefined) counterFor('API.md')('API');
+  headers.forEach((header) => {
+    const fileName = fileNames === undefined ? 'API.md' : fileNames[header];
+    const nextAnchor = counterFor(fileName);
+    const headerAnchor = nextAnchor(header);
+    // a split header is linked by its file, the heading is the first thing in it
+    locations.headers[header] = fileNames === undefined ? `#${headerAnchor}` : fileName;
+    data.filter(block => block.header === header).forEach((block) => {
+      const anchor = nextAnchor(formatSignature(block, data));
+      if (block.name) {
+        locations.blocks[block.name.concat(block.id)] = `${fileNames === undefined ? '' : fileName}#${anchor}`;
+      }
+    });
+  });
+  return locations;
+};
+
+/**
+ * @description Turns the sorted comment blocks into markdown documents
+ * @param { array } data the sorted comment blocks from execSorts
+ * @param { boolean } split true to give every header its own file
+ * @return { object } the contents of each markdown file keyed by its file name.  API.md
+ * holds the whole API or, when split, a table of contents linking to the other files
+ */
+const toMarkdown = (data, split) => {
+  const headers = sortedHeaders(data);
+  const fileNames = split ? toFileNames(headers) : undefined;
+  const locations = findLocations(headers, data, fileNames);
+  const files = {};
+  const contents = headers.map(header => `- [${header}](${locations.headers[header]})`);
+  const api = ['# API', ''].concat(contents, '');
+  headers.forEach((header) => {
+    const section = renderSection(header, data, locations.blocks);
+    if (split) files[fileNames[header]] = section.join('\n');
+    else api.push(...section);
+  });
+  files['API.md'] = api.join('\n');
+  return files;
+};
+
+/**
+ * @description Writes the sorted comment blocks as markdown files
+ * @param { array } data the sorted comment blocks from execSorts
+ * @param { string } outDir the folder to save the files in
+ * @param { boolean } split true to give every header its own file
+ * @return { array } the paths of the files that were written
+ */
+const saveMarkdown = (data, outDir, split) => {
+  const files = toMarkdown(data, split);
+  fs.mkdirSync(outDir, { recursive: true });
+  return Object.keys(files).map((fileName) => {
+    const writePath = path.join(outDir, fileName);
+    fs.writeFileSync(writePath, files[fileName]);
+    return writePath;
+  });
+};
+
+module.exports.toMarkdown = toMarkdown;
+module.exports.saveMarkdown = saveMarkdown;
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const pjson = require('../../package.json');
+
+// bump whenever the shape of the extracted or parsed blocks changes
+const CACHE_VERSION = 7;
+const CACHE_FILE = '.gutencache.json';
+
+/**
+ * @description Hashes the contents of a file so changes to it can be detected
+ * @param { string } content the contents of the file
+ * @return { string } hex digest of the content
+ */
+const hashContent = content => crypto.createHash('sha1').update(content).digest('hex');
+
+/**
+ * @description Creates a key describing everything besides the file contents that
+ * affects the parse, so the cache is thrown out when any of it changes
+ * @param { object } gutenrc the gutenrc settings
+ * @return { string } the key stored alongside the cached files
+ */
+const getSettingsKey = gutenrc => hashContent(JSON.stringify([
+  CACHE_VERSION,
+  pjson.version,
+  gutenrc.acornSettings,
+  gutenrc.doctrineSettings,
+]));
+
+/**
+ * @description Finds where the cache should be saved
+ * @param { object } gutenrc the gutenrc settings
+ * @return { string } path to the cache file inside of the api folder
+ */
+const getCachePath = gutenrc => gutenrc.absPath.concat(gutenrc.apiDir).concat(CACHE_FILE);
+
+/**
+ * @description Loads the cache saved by the last parse.  If caching is turned off, there
+ * is no cache yet or it was made with different settings an empty cache is returned
+ * @param { object } gutenrc the gutenrc settings
+ * @return { object } { settings, files } where files is keyed by the file name and holds
+ * { hash, content, parsed }
+ */
+const loadCache = (gutenrc) => {
+  const settings = getSettingsKey(gutenrc);
+  const emptyCache = { settings, files: {} };
+  const cachePath = getCachePath(gutenrc);
+  if (!gutenrc.cache || !fs.existsSync(cachePath)) return emptyCache;
+  try {
+    const cache = JSON.parse(fs.readFileSync(cachePath));
+    if (cache.settings === settings && cache.files instanceof Object) return cache;
+  } catch (error) {
+    // a corrupt cache is the same as no cache, it will be overwritten on the next save
+  }
+  return emptyCache;
+};
+
+/**
+ * @description Saves the cache into the api folder.  Entries for files that have been
+ * deleted are dropped before saving
+ * @param { object } gutenrc the gutenrc settings
+ * @param { object } cache the cache returned by loadCache
+ */
+const saveCache = (gutenrc, cache) => {
+  const apiPath = gutenrc.absPath.concat(gutenrc.apiDir);
+  if (!gutenrc.cache || !fs.existsSync(apiPath)) return;
+  const root = path.dirname(gutenrc.absPath.slice(0, -1));
+  const files = {};
+  Object.keys(cache.files)
+    .filter(file => fs.existsSync(path.join(root, file)))
+    .forEach((file) => { files[file] = cache.files[file]; });
+  fs.writeFileSync(getCachePath(gutenrc), JSON.stringify({ settings: cache.settings, files }));
+};
+
+module.exports.hashContent = hashContent;
+module.exports.loadCache = loadCache;
+module.exports.saveCache = saveCache;
@@ -1,12 +1,45 @@
-const { parse } = require('acorn-jsx');
+const acorn = require('acorn');
+const injectJSX = require('acorn-jsx/inject');
+const injectClassFields = require('acorn-class-fields/inject');
 const fs = require('fs');
 const path = require('path');
-const acornWalk = require('acorn/dist/walk');
 const { Walker } = require('ignore-walk');
 const { getRC } = require('../utils.js');
+const { hashContent, loadCache } = require('./cache.js');
+const { typeScriptExtensions, tsParse } = require('./typescript.js');
+const { getSignature } = require('./signature.js');
+const { findNodeAfter, functionTypes, getLine } = require('./walk.js');
 
-const exclude = (arr) => {
-  const ROOT = path.dirname(getRC().absPath.slice(0, -1));
+const { parse } = injectClassFields(injectJSX(acorn));
+
+const sourceExtensions = ['.js', '.jsx'].concat(typeScriptExtensions);
+
+const classTypes = ['ClassDeclaration', 'ClassExpression'];
+// nodes other than classes and object literals that other declarations can be members of
+const ownerTypes = [
+  'ObjectExpression',
+  'TSInterfaceDeclaration',
+  'TSModuleDeclaration',
+  'TSEnumDeclaration',
+].concat(classTypes);
+
+/**
+ * Finds the directory that the names of extracted files are relative to
+ * @param { object } gutenrc the gutenrc settings, found with getRC() when left out
+ * @return { string } path to the directory above the folder holding .gutenrc.json
+ */
+const getRoot = (gutenrc = getRC()) => path.dirname(gutenrc.absPath.slice(0, -1));
+
+/**
+ * Converts a path into the name extract gives the file in its results
+ * @param { string } filePath path to the file, absolute or relative to the cwd
+ * @param { object } gutenrc the gutenrc settings, found with getRC() when left out
+ * @return { string } the path of the file relative to the extract root
+ */
+const toFileName = (filePath, gutenrc = getRC()) => path.relative(getRoot(gutenrc), filePath);
+
+const exclude = (arr, gutenrc = getRC()) => {
+  const ROOT = getRoot(gutenrc);
   const options = {
     path: ROOT,
     ignoreFiles: ['.gutenignore', 1],
@@ -15,68 +48,279 @@ const exclude = (arr) => {
     const walk = new Walker(options).on('done', resolve).on('error', reject);
     const rule = arr.reduce((r, p) => {
       const relPath = path.relative(ROOT, p);
-      if (['.js', '.jsx'].includes(path.extname(p))) {
-        return `${r}\n!${relPath}/**/*.js\n!${relPath}/**/*.jsx\n!${relPath}`;
+      const nested = sourceExtensions.map(ext => `\n!${relPath}/**/*${ext}`).join('');
+      if (sourceExtensions.includes(path.extname(p))) {
+        return `${r}${nested}\n!${relPath}`;
       }
-      return `${r}\n!${relPath}/**/*.js\n!${relPath}/**/*.jsx`;
+      return `${r}${nested}`;
     }, '*');
     walk.onReadIgnoreFile(1, rule, () => { });
     walk.start();
   });
 };
 
-const acornParse = (content, tagContent) => {
+/**
+ * Finds what kind of symbol a value defines
+ * @param { object } value the acorn node being assigned
+ * @param { string } fallback the kind to use when the value is not a function or class
+ * @return { string } 'function', 'class' or the fallback
+ */
+const getValueKind = (value, fallback) => {
+  if (!value) return fallback;
+  if (functionTypes.includes(value.type)) return 'function';
+  if (classTypes.includes(value.type)) return 'class';
+  return fallback;
+};
+
+/**
+ * Finds the name of a class member or object property
+ * @param { object } node the acorn node with a key
+ * @param { string } content the source the node was parsed from
+ * @return { string } the name of the key, computed keys are returned as written
+ */
+const getKeyName = (node, content) => {
+  const { key } = node;
+  if (node.computed) return `[${content.slice(key.range[0], key.range[1])}]`;
+  if (key.type === 'Identifier') return key.name;
+  if (key.type === 'PrivateName') return `#${key.name}`;
+  return String(key.value);
+};
+
+/**
+ * Finds the name and kind of every symbol a documented node declares
+ * @param { object } node the node directly after a JSDoc comment
+ * @param { string } content the source the node was parsed from
+ * @return { array } [{ name, kind, value }], empty if the node is not something we document.
+ * value is the node holding the definition, such as the function of a method
+ */
+const describeNode = (node, content) => {
+  switch (node.type) {
+    case 'ClassDeclaration':
+    case 'FunctionDeclaration':
+    case 'TSDeclareFunction':
+      return node.id ? [{ name: node.id.name, kind: getValueKind(node), value: node }] : [];
+    case 'VariableDeclaration':
+      return node.declarations
+        .filter(declaration => declaration.id.type === 'Identifier')
+        .map(declaration => ({
+          name: declaration.id.name,
+          kind: getValueKind(declaration.init, 'constant'),
+          value: declaration.init,
+        }));
+    case 'MethodDefinition':
+    case 'TSAbstractMethodDefinition':
+      return [{ name: getKeyName(node, content), kind: 'method', value: node.value }];
+    case 'TSMethodSignature':
+      return [{ name: getKeyName(node, content), kind: 'method', value: node }];
+    case 'FieldDefinition':
+    case 'ClassProperty':
+    case 'TSAbstractClassProperty':
+    case 'TSPropertySignature':
+    case 'Property':
+      return [{
+        name: getKeyName(node, content),
+        kind: node.kind !== 'get' && node.kind !== 'set' && getValueKind(node.value) === 'function'
+          ? 'method'
+          : 'property',
+        value: node.value,
+      }];
+    case 'TSInterfaceDeclaration':
+      return [{ name: node.id.name, kind: 'interface' }];
+    case 'TSTypeAliasDeclaration':
+      return [{ name: node.id.name, kind: 'type' }];
+    case 'TSEnumDeclaration':
+      return [{ name: node.id.name, kind: 'enum' }];
+    case 'TSEnumMember':
+      return [{ name: node.id.name || node.id.value, kind: 'constant' }];
+    case 'TSModuleDeclaration':
+      return [{ name: node.id.name || node.id.value, kind: 'namespace' }];
+    case 'ExportNamedDeclaration':
+      return node.declaration ? describeNode(node.declaration, content) : [];
+    case 'ExportDefaultDeclaration': {
+      const { declaration } = node;
+      if (declaration.type === 'Identifier') return [{ name: declaration.name, kind: 'constant' }];
+      return [{
+        name: declaration.id ? declaration.id.name : 'default',
+        kind: getValueKind(declaration, 'constant'),
+        value: declaration,
+      }];
+    }
+    case 'ExpressionStatement': {
+      const { expression } = node;
+      if (expression.type !== 'AssignmentExpression' || expression.left.type !== 'MemberExpression') {
+        return [];
+      }
+      const { left, right } = expression;
+      let name = getKeyName({ key: left.property, computed: left.computed }, content);
+      if (name === 'exports' && left.object.name === 'module') {
+        name = right.id ? right.id.name : 'module.exports';
+      }
+      return [{ name, kind: getValueKind(right, 'property'), value: right }];
+    }
+    default:
+      return [];
+  }
+};
+
+/**
+ * Finds the dotted name of an expression such as Foo.prototype.bar
+ * @param { object } node the acorn Identifier, ThisExpression or MemberExpression
+ * @param { string } content the source the node was parsed from
+ * @return { string } the name, or undefined if it can not be written as a path
+ */
+const getPathName = (node, content) => {
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'ThisExpression') return 'this';
+  if (node.type !== 'MemberExpression') return undefined;
+  const objectName = getPathName(node.object, content);
+  if (objectName === undefined) return undefined;
+  const propertyName = getKeyName({ key: node.property, computed: node.computed }, content);
+  return propertyName === 'prototype' ? objectName : `${objectName}.${propertyName}`;
+};
+
+/**
+ * Finds the name a class or object literal is known by from the node it is assigned to
+ * @param { object } node the class or object literal
+ * @param { object } parent the node containing it
+ * @param { string } content the source the node was parsed from
+ * @return { string } the name of the owner, or undefined if it is anonymous
+ */
+const getOwnerName = (node, parent, content) => {
+  if (node.id) return node.id.name || node.id.value;
+  if (parent === undefined) return undefined;
+  switch (parent.type) {
+    case 'VariableDeclarator':
+      return parent.id.type === 'Identifier' ? parent.id.name : undefined;
+    case 'Property':
+    case 'FieldDefinition':
+    case 'ClassProperty':
+      return getKeyName(parent, content);
+    case 'AssignmentExpression':
+      return getPathName(parent.left, content);
+    case 'ExportDefaultDeclaration':
+      return 'default';
+    default:
+      return undefined;
+  }
+};
+
+/**
+ * Builds the path of classes and objects a documented node is a member of
+ * @param { object } node the documented node
+ * @param { array } ancestors the nodes containing it, outermost first
+ * @param { string } content the source the node was parsed from
+ * @return { string } dotted path such as 'Outer.Inner', undefined for top level nodes
+ */
+const getMemberOf = (node, ancestors, content) => {
+  const owners = [];
+  ancestors.forEach((ancestor, index) => {
+    if (!ownerTypes.includes(ancestor.type)) return;
+    const name = getOwnerName(ancestor, ancestors[index - 1], content);
+    if (name !== undefined && name !== 'module.exports' && name !== 'exports') owners.push(name);
+  });
+  const { expression } = node;
+  if (node.type === 'ExpressionStatement' && expression.type === 'AssignmentExpression'
+    && expression.left.type === 'MemberExpression') {
+    const objectName = getPathName(expression.left.object, content);
+    if (objectName !== undefined && !['module', 'module.exports', 'exports', 'this'].includes(objectName)) {
+      owners.push(objectName);
+    }
+  }
+  return owners.length === 0 ? undefined : owners.join('.');
+};
+
+/**
+ * Parses a JavaScript file with acorn
+ * @param { string } content the source of the file
+ * @return { object } { tree, comments } where comments are [{ comment, start, pos }] for
+ * every JSDoc block, start and pos being where the comment starts and ends
+ */
+const acornParse = (content) => {
   const arr = [];
   const tree = parse(content, {
     plugins: {
       jsx: true,
+      classFields: true,
     },
     ecmaVersion: 9,
     allowReturnOutsideFunction: true,
     allowImportExportEverywhere: true,
     allowHashBang: true,
+    ranges: true,
     onComment: (b, t, s, d) => {
       if (b && t[0] === '*') {
         arr.push({
           comment: t,
+          start: s,
           pos: d,
         });
       }
     },
   });
-  arr.forEach((comment) => {
-    const result = acornWalk.findNodeAfter(tree, comment.pos);
-    if (result === undefined) {
+  return { tree, comments: arr };
+};
+
+/**
+ * Parses a file with the parser that matches its extension
+ * @param { string } content the source of the file
+ * @param { string } fileName name of the file, TypeScript files are parsed as TypeScript
+ * @return { object } { tree, comments } see acornParse
+ */
+const parseSource = (content, fileName) => (typeScriptExtensions.includes(path.extname(fileName))
+  ? tsParse(content, fileName)
+  : acornParse(content));
+
+/**
+ * Reads the name of the type a comment declares with @typedef or @callback.  These
+ * comments describe a type of their own rather than the code after them
+ * @param { string } comment the text of the comment
+ * @return { string } the name of the type, undefined if the comment declares none
+ */
+const getDeclaredType = (comment) => {
+  const match = comment.match(/@(?:typedef|callback)\s+(?:\{[^\n]*\}\s*)?([A-Za-z_$][\w$.]*)/);
+  return match ? match[1] : undefined;
+};
+
+/**
+ * Finds every JSDoc comment in a file along with what it is documenting
+ * @param { string } content the source of the file
+ * @param { string } fileName name of the file, TypeScript files are parsed as TypeScript
+ * @param { array } tagContent array the comment blocks are pushed into
+ */
+const parseFile = (content, fileName, tagContent) => {
+  const { tree, comments } = parseSource(content, fileName);
+  comments.forEach((comment) => {
+    const declaredType = getDeclaredType(comment.comment);
+    if (declaredType !== undefined) {
+      tagContent.push({
+        comment: comment.comment,
+        name: declaredType,
+        kind: 'typedef',
+        line: getLine(content, comment.start),
+        endLine: getLine(content, comment.pos),
+      });
       return;
     }
-    const { node } = result;
-    switch (node.type) {
-      case 'MethodDefinition':
-        tagContent.push({
-          comment: comment.comment,
-          name: node.key.name,
-        });
-        return;
-      case 'VariableDeclaration':
-        node.declarations.forEach(
-          declaration => tagContent.push(
-            {
-              comment: comment.comment,
-              name: declaration.id.name,
-            },
-          ),
-        );
-        return;
-      case 'FunctionDeclaration':
-        tagContent.push({
-          comment: comment.comment,
-          name: node.id.name,
-        });
-        /* eslint-disable-next-line no-useless-return */
-        return;
-      default:
+    const result = findNodeAfter(tree, comment.pos);
+    if (result === undefined) {
+      return;
     }
-  }, []);
+    const memberOf = getMemberOf(result.node, result.ancestors, content);
+    describeNode(result.node, content).forEach(({ name, kind, value }) => {
+      const block = {
+        comment: comment.comment,
+        name,
+        kind: memberOf !== undefined && kind === 'function' ? 'method' : kind,
+        memberOf,
+        line: getLine(content, result.node.range[0]),
+        endLine: getLine(content, result.node.range[1]),
+      };
+      if (value && functionTypes.includes(value.type)) {
+        Object.assign(block, getSignature(value, content));
+      }
+      tagContent.push(block);
+    });
+  });
 };
 
 const errorHandler = (file, gutenrc, e, badFiles) => {
@@ -93,8 +337,13 @@ const errorHandler = (file, gutenrc, e, badFiles) => {
   }
 };
 
-const extract = arr => exclude(arr).then((list) => {
-  const gutenrc = getRC();
+// the cache is shared with parseComments and saved by the caller once both have run
+const extract = (
+  arr,
+  gutenrc = getRC(),
+  cache = loadCache(gutenrc),
+) => exclude(arr, gutenrc).then((list) => {
+  const cachedFiles = cache.files;
   const badFiles = [];
   const result = list.map((file, fileCount) => {
     const tag = {
@@ -102,10 +351,17 @@ const extract = arr => exclude(arr).then((list) => {
       name: file,
     };
     const content = fs.readFileSync(`${path.dirname(gutenrc.absPath)}/${file}`, 'utf8');
-    try {
-      acornParse(content, tag.content, gutenrc);
-    } catch (e) {
-      errorHandler(file, gutenrc, e, badFiles);
+    tag.hash = hashContent(content);
+    const cached = cachedFiles[file];
+    if (cached && cached.hash === tag.hash) {
+      tag.content = cached.content;
+    } else {
+      try {
+        parseFile(content, file, tag.content);
+        cachedFiles[file] = { hash: tag.hash, content: tag.content };
+      } catch (e) {
+        errorHandler(file, gutenrc, e, badFiles);
+      }
     }
     if (gutenrc.verbosity >= 2) {
       process.stdout.clearLine();
@@ -117,7 +373,7 @@ const extract = arr => exclude(arr).then((list) => {
     return tag;
   });
   /* eslint-disable-next-line no-console */
-  console.log(`Files Processed: ${list.length}`);
+  if (gutenrc.verbosity >= 1) console.log(`Files Processed: ${list.length}`);
   if (badFiles.length !== 0 && gutenrc.verbosity >= 2) {
     /* eslint-disable-next-line no-console */
     console.log(`\n\nThe following ${badFiles.length} files were unparsable\n***********`);
@@ -130,4 +386,10 @@ const extract = arr => exclude(arr).then((list) => {
   return new Promise(resolve => resolve(result));
 });
 
-module.exports = extract;
\ No newline at end of file
+module.exports = extract;
+module.exports.sourceExtensions = sourceExtensions;
+module.exports.toFileName = toFileName;
+module.exports.exclude = exclude;
+module.exports.parseSource = parseSource;
+module.exports.describeNode = describeNode;
+module.exports.getDeclaredType = getDeclaredType;
\ No newline at end of file
@@ -1,24 +1,115 @@
 const doctrine = require('doctrine');
 const errors = require('./utils/errors.js');
 const { getRC } = require('./../utils.js');
+const { loadCache } = require('./cache.js');
+const { matchParamTags } = require('./signature.js');
+
+/**
+ * @description Turns a type written in a TypeScript signature into a doctrine type
+ * @param { string } typeText the type as written in the source
+ * @return { object } the doctrine type, a NameExpression of the text if doctrine can't read it
+ */
+const toDoctrineType = (typeText) => {
+  try {
+    return doctrine.parseType(typeText);
+  } catch (error) {
+    return { type: 'NameExpression', name: typeText };
+  }
+};
+
+/**
+ * @description Merges the signature of a function with its doctrine tags.  Parameters
+ * missing from the tags are kept and marked as undocumented, and tags written without
+ * a type get the type from the TypeScript signature when there is one
+ * @param { object } fileObj the doctrine parse of the comment
+ * @param { object } block the extracted comment block holding params and returns
+ */
+const mergeSignature = (fileObj, block) => {
+  if (block.params === undefined) return;
+  const paramTags = matchParamTags(block.params, fileObj.tags);
+  /* eslint-disable no-param-reassign */
+  fileObj.params = block.params.map((param, index) => {
+    const tag = paramTags[index];
+    if (tag && !tag.type && param.type !== undefined) tag.type = toDoctrineType(param.type);
+    return Object.assign({}, param, {
+      name: tag ? tag.name : param.name,
+      documented: tag !== undefined,
+    });
+  });
+  fileObj.returns = block.returns;
+  fileObj.tags.forEach((tag) => {
+    if (!tag.type && ['return', 'returns'].includes(tag.title) && block.returns !== undefined) {
+      tag.type = toDoctrineType(block.returns);
+    }
+  });
+  /* eslint-enable no-param-reassign */
+};
+
+/**
+ * @description Splits a leading {type} off of some text, keeping nested braces together
+ * @param { string } text the description of a tag
+ * @return { object } { typeText, rest } or undefined when the text doesn't start with a type
+ */
+const splitType = (text) => {
+  const start = text.search(/\S/);
+  if (text[start] !== '{') return undefined;
+  let depth = 0;
+  for (let i = start; i < text.length; i += 1) {
+    if (text[i] === '{') depth += 1;
+    if (text[i] === '}') depth -= 1;
+    if (depth === 0) {
+      return { typeText: text.slice(start + 1, i).trim(), rest: text.slice(i + 1).trim() };
+    }
+  }
+  return undefined;
+};
+
+/**
+ * @description Fills in what doctrine leaves out of some tags.  It keeps the type of a
+ * yields tag in its description and the name of a callback as its description
+ * @param { object } fileObj the doctrine parse of the comment
+ */
+const normalizeTags = (fileObj) => {
+  /* eslint-disable no-param-reassign */
+  fileObj.tags.forEach((tag) => {
+    if (['yield', 'yields'].includes(tag.title) && !tag.type && tag.description) {
+      const split = splitType(tag.description);
+      if (split !== undefined) {
+        tag.type = toDoctrineType(split.typeText);
+        tag.description = split.rest;
+      }
+    }
+    if (tag.title === 'callback' && !tag.name && tag.description) {
+      [tag.name] = tag.description.trim().split(/\s+/);
+      tag.description = tag.description.trim().slice(tag.name.length).trim() || null;
+    }
+  });
+  /* eslint-enable no-param-reassign */
+};
 
 /**
  * @description catchAll method that added a header and a priority to all unassigned
  * files as well as a unique id
  * @param { array } tagArray catchall param
+ * @param { object } gutenRC the gutenrc settings
  * @section parsing function1
  * @return { object } catchall return
  */
-const processFile = (tagArray) => {
+const processFile = (tagArray, gutenRC) => {
   const tags = {
     content: [],
   };
-  const gutenRC = getRC();
   tagArray.forEach((x) => {
     const fileObj = doctrine.parse(x.comment, {
       ...gutenRC.doctrineSettings,
     });
     fileObj.name = x.name;
+    fileObj.kind = x.kind;
+    fileObj.memberOf = x.memberOf;
+    fileObj.line = x.line;
+    fileObj.endLine = x.endLine;
+    normalizeTags(fileObj);
+    mergeSignature(fileObj, x);
     tags.content.push(fileObj);
   });
   return tags;
@@ -28,17 +119,24 @@ const processFile = (tagArray) => {
 /**
  * @description A function that will parse a JSdoc Block of Comments using Doctrine
  * @param { array } commentsArray An array of JSDoc Comment Blocks structured in AST.
- * @param { string } address The path that the file should be saved to.
+ * @param { object } gutenRC the gutenrc settings, found with getRC() when left out
+ * @param { object } cache the cache extract used, loaded when left out.  The parsed comments
+ * are added to it, saving it is up to the caller
  * @section section name 2
  * @return { array } array of AST objects representing the comments extracted from comments
  */
-const parseComments = (filesArray) => {
+const parseComments = (filesArray, gutenRC = getRC(), cache = loadCache(gutenRC)) => {
   errors.parseCommentsArrayErr(filesArray);
+  filesArray.forEach(file => errors.parseCommentsFileErr(file));
 
   const files = [];
   filesArray.forEach((file) => {
-    errors.parseCommentsFileErr(file);
-    const fileContent = processFile(file.content);
+    const cached = cache.files[file.name];
+    const isCached = cached !== undefined && file.hash !== undefined && cached.hash === file.hash;
+    const fileContent = isCached && cached.parsed
+      ? { content: cached.parsed }
+      : processFile(file.content, gutenRC);
+    if (isCached) cached.parsed = fileContent.content;
     fileContent.fileName = file.name;
     files.push(fileContent);
   });
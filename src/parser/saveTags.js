@@ -1,21 +1,118 @@
 const fs = require('fs');
 const path = require('path');
+const pjson = require('../../package.json');
+const { getRC } = require('../utils.js');
+const { buildSearchIndex } = require('../search.js');
+const { getSectionTree } = require('../sorters/orderSections.js');
+
+// bump whenever a change to the json output could break the tools reading it
+const SCHEMA_VERSION = 1;
+const dataFormats = ['js', 'json'];
+
+/**
+ * @description Reads the name, version and description of the project being documented
+ * from its package.json
+ * @param { object } gutenrc the gutenrc settings
+ * @return { object } { name, version, description }, name falls back to the project folder
+ */
+const getProject = (gutenrc) => {
+  const packagePath = gutenrc.absPath.concat('package.json');
+  let projectPackage = {};
+  try {
+    projectPackage = JSON.parse(fs.readFileSync(packagePath));
+  } catch (error) {
+    // not every project has a package.json, the folder name is used instead
+  }
+  return {
+    name: projectPackage.name || path.basename(path.resolve(gutenrc.absPath)),
+    version: projectPackage.version,
+    description: projectPackage.description,
+  };
+};
+
+/**
+ * @description Wraps the sorted blocks in the versioned document described by
+ * parsedData.schema.json
+ * @param { array } data the ast cleaned tree
+ * @param { object } gutenrc the gutenrc settings
+ * @return { object } { schemaVersion, generator, project, headers, sections, blocks } where
+ * sections nests the headers inside of each other
+ */
+const toJSONData = (data, gutenrc) => {
+  const headerPriorities = {};
+  data.forEach((block) => {
+    headerPriorities[block.header] = block.priority;
+  });
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    generator: { name: pjson.name, version: pjson.version },
+    project: getProject(gutenrc),
+    headers: Object.keys(headerPriorities)
+      .map(name => ({ name, priority: headerPriorities[name] }))
+      .sort((a, b) => a.priority - b.priority),
+    sections: getSectionTree(data),
+    blocks: data,
+  };
+};
+
+/**
+ * @description Writes a file, throwing if it can't be saved.  The write is finished before
+ * saveTags returns, so anything waiting on the parse can read the files
+ * @param { string } writePath the path to write to
+ * @param { string } contents what to write
+ */
+const writeFile = (writePath, contents) => {
+  fs.writeFileSync(writePath, contents);
+};
+
+/**
+ * @description Reads the formats the data is saved in, checking each is one saveTags knows
+ * @param { object } gutenrc the gutenrc settings
+ * @return { array } the formats, js when the gutenrc doesn't list any
+ */
+const getDataFormats = (gutenrc) => {
+  const formats = gutenrc.dataFormats || ['js'];
+  formats.forEach((format) => {
+    if (!dataFormats.includes(format)) {
+      throw new Error(`Unknown data format ${format} in your .gutenrc.json, use any of ${dataFormats.join(', ')}`);
+    }
+  });
+  return formats;
+};
 
 /**
- * @description Will write the cleaned and sorted AST tree to a js file exporting it
+ * @description Will write the cleaned and sorted AST tree, wrapped by toJSONData, to a js
+ * file exporting it and/or a json file, depending on the dataFormats in the gutenrc.  The
+ * search index for the site is saved next to it in the same formats
  * @param { array } data the ast cleaned tree
- * @param { string } path the path to write the data too
+ * @param { string } path the path to write the data too, the json is saved next to
+ * it with a .json extension
+ * @param { object } gutenrc the gutenrc settings, found with getRC() when left out
  */
-const saveTags = (data, writePath) => {
+const saveTags = (data, writePath, gutenrc = getRC()) => {
+  const formats = getDataFormats(gutenrc);
   const variableName = path.basename(writePath, path.extname(writePath));
-  fs.writeFile(writePath,
-    `const ${variableName} = ${JSON.stringify(data, null, 2)};`
-    + `\n\nwindow.${variableName} = ${variableName};`,
-    (err) => {
-      if (err) {
-        throw err;
-      }
-    });
+  const document = JSON.stringify(toJSONData(data, gutenrc), null, 2);
+  if (formats.includes('js')) {
+    // only set on the window so the site can load the data of another version over it
+    writeFile(writePath, `window.${variableName} = ${document};`);
+  }
+  if (formats.includes('json')) {
+    writeFile(path.join(path.dirname(writePath), `${variableName}.json`), document);
+  }
+  // the index is only read by the site, so it is kept small rather than readable
+  const searchIndex = JSON.stringify(buildSearchIndex(data));
+  if (formats.includes('js')) {
+    writeFile(path.join(path.dirname(writePath), 'searchIndex.js'),
+      `window.searchIndex = ${searchIndex};`);
+  }
+  if (formats.includes('json')) {
+    writeFile(path.join(path.dirname(writePath), 'searchIndex.json'), searchIndex);
+  }
 };
 
 module.exports.saveTags = saveTags;
+module.exports.getDataFormats = getDataFormats;
+module.exports.toJSONData = toJSONData;
+module.exports.getProject = getProject;
+module.exports.SCHEMA_VERSION = SCHEMA_VERSION;
@@ -0,0 +1,123 @@
+const { getChildren } = require('./walk.js');
+
+/**
+ * @description Gets the source text between two positions, with runs of whitespace collapsed
+ * @param { array } range [start, end] of the text
+ * @param { string } content the source the node was parsed from
+ * @return { string } the text as written
+ */
+const getText = (range, content) => content.slice(range[0], range[1]).replace(/\s+/g, ' ').trim();
+
+/**
+ * @description Gets the source text of a TypeScript type annotation
+ * @param { object } annotation the TSTypeAnnotation node
+ * @param { string } content the source the node was parsed from
+ * @return { string } the type as written, undefined if there is no annotation
+ */
+const getTypeText = (annotation, content) => {
+  if (!annotation) return undefined;
+  return getText((annotation.typeAnnotation || annotation).range, content);
+};
+
+/**
+ * @description Describes a single parameter of a function
+ * @param { object } param the parameter node
+ * @param { string } content the source the node was parsed from
+ * @return { object } { name, type, default, rest, destructured } where only name is
+ * always present.  Destructured parameters are named by the pattern as written
+ */
+const getParam = (param, content) => {
+  switch (param.type) {
+    case 'TSParameterProperty':
+      return getParam(param.parameter, content);
+    case 'AssignmentPattern':
+      return Object.assign(getParam(param.left, content), {
+        default: getText(param.right.range, content),
+      });
+    case 'RestElement':
+      return Object.assign(getParam(param.argument, content), {
+        rest: true,
+        type: getTypeText(param.typeAnnotation || param.argument.typeAnnotation, content),
+      });
+    case 'ObjectPattern':
+    case 'ArrayPattern': {
+      const patternEnd = param.typeAnnotation ? param.typeAnnotation.range[0] : param.range[1];
+      return {
+        name: getText([param.range[0], patternEnd], content),
+        type: getTypeText(param.typeAnnotation, content),
+        destructured: true,
+      };
+    }
+    default:
+      return { name: param.name, type: getTypeText(param.typeAnnotation, content) };
+  }
+};
+
+/**
+ * @description Reads the parameters and return type from the signature of a function.
+ * Types are only found in TypeScript files
+ * @param { object } fn the function, method or method signature node
+ * @param { string } content the source the node was parsed from
+ * @return { object } { params: [{ name, type, default, rest, destructured }], returns }
+ */
+const getSignature = (fn, content) => ({
+  params: fn.params
+    .map(param => getParam(param, content))
+    .filter(param => param.name !== 'this'),
+  returns: getTypeText(fn.returnType, content),
+});
+
+/**
+ * @description Finds the @param tag documenting each parameter in the signature.
+ * Destructured parameters have no name of their own so they are matched to the
+ * top level @param tag in the same position
+ * @param { array } params the parameters from the signature
+ * @param { array } tags the doctrine tags of the comment
+ * @return { array } the matching tag for each parameter, undefined when it has none
+ */
+const matchParamTags = (params, tags) => {
+  const paramTags = tags.filter(tag => tag.title === 'param' && tag.name);
+  const topLevelTags = paramTags.filter(tag => !tag.name.includes('.'));
+  const names = params.map(param => param.name);
+  return params.map((param, index) => {
+    const namedTag = paramTags.find(tag => tag.name === param.name);
+    if (namedTag || !param.destructured) return namedTag;
+    const positionalTag = topLevelTags[index];
+    return positionalTag && !names.includes(positionalTag.name) ? positionalTag : undefined;
+  });
+};
+
+// nodes with their own return statements that don't belong to the enclosing function
+const nestedScopes = [
+  'FunctionDeclaration',
+  'FunctionExpression',
+  'ArrowFunctionExpression',
+  'ClassDeclaration',
+  'ClassExpression',
+];
+const voidTypes = ['TSVoidKeyword', 'TSNeverKeyword', 'TSUndefinedKeyword'];
+
+/**
+ * @description Checks if a function can give back a value.  Functions without a body
+ * are judged by their declared return type
+ * @param { object } fn the function, method or method signature node
+ * @return { boolean } true if the function returns something other than undefined
+ */
+const returnsValue = (fn) => {
+  if (fn.returnType) {
+    const returnType = fn.returnType.typeAnnotation || fn.returnType;
+    if (voidTypes.includes(returnType.type)) return false;
+    if (!fn.body) return true;
+  }
+  if (!fn.body) return false;
+  if (fn.body.type !== 'BlockStatement') return true;
+  const search = node => getChildren(node).some((child) => {
+    if (child.type === 'ReturnStatement') return child.argument !== null;
+    return !nestedScopes.includes(child.type) && search(child);
+  });
+  return search(fn.body);
+};
+
+module.exports.getSignature = getSignature;
+module.exports.matchParamTags = matchParamTags;
+module.exports.returnsValue = returnsValue;
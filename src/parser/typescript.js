@@ -0,0 +1,31 @@
+const path = require('path');
+const { parse } = require('@typescript-eslint/typescript-estree');
+
+const typeScriptExtensions = ['.ts', '.tsx'];
+
+/**
+ * @description Parses a TypeScript file into an ESTree compatible ast
+ * @param { string } content the source of the file
+ * @param { string } fileName name of the file, used to decide if jsx is allowed
+ * @return { object } { tree, comments } where comments are the JSDoc blocks
+ * formatted the same way as the ones acorn finds
+ */
+const tsParse = (content, fileName) => {
+  const tree = parse(content, {
+    comment: true,
+    range: true,
+    jsx: path.extname(fileName) === '.tsx',
+    loggerFn: false,
+  });
+  const comments = tree.comments
+    .filter(comment => comment.type === 'Block' && comment.value[0] === '*')
+    .map(comment => ({
+      comment: comment.value,
+      start: comment.range[0],
+      pos: comment.range[1],
+    }));
+  return { tree, comments };
+};
+
+module.exports.typeScriptExtensions = typeScriptExtensions;
+module.exports.tsParse = tsParse;
@@ -0,0 +1,56 @@
+// nodes that are functions, including TypeScript declarations without a body
+const functionTypes = [
+  'FunctionDeclaration',
+  'FunctionExpression',
+  'ArrowFunctionExpression',
+  'TSDeclareFunction',
+  'TSEmptyBodyFunctionExpression',
+  'TSMethodSignature',
+];
+
+/**
+ * Lists the nodes directly inside of a node in the order they appear in the source.
+ * Works for any ESTree style ast so the acorn and TypeScript trees can share it
+ * @param { object } node the node to look inside of
+ * @return { array } the child nodes
+ */
+const getChildren = node => Object.keys(node)
+  .filter(key => !['loc', 'range', 'parent'].includes(key))
+  .reduce((children, key) => children.concat(node[key]), [])
+  .filter(child => child instanceof Object && typeof child.type === 'string' && child.range)
+  .sort((a, b) => a.range[0] - b.range[0]);
+
+/**
+ * Finds the outermost node that starts after pos, like acorn's findNodeAfter,
+ * but also keeps track of the nodes that were passed through to get there
+ * @param { object } tree the ast to search
+ * @param { number } pos the position the node should come after
+ * @return { object } { node, ancestors } or undefined if there is no node after pos
+ */
+const findNodeAfter = (tree, pos) => {
+  let found;
+  const c = (node, ancestors) => {
+    if (found !== undefined || node.range[1] < pos) return;
+    if (node.range[0] >= pos) {
+      found = { node, ancestors };
+      return;
+    }
+    getChildren(node).forEach(child => c(child, ancestors.concat(node)));
+  };
+  // the TypeScript parser starts the program after any leading comments
+  getChildren(tree).forEach(child => c(child, [tree]));
+  return found;
+};
+
+/**
+ * Finds the line a position in the source is on
+ * @param { string } content the source of the file
+ * @param { number } pos the position in the source
+ * @return { number } the line number, starting at 1
+ */
+const getLine = (content, pos) => content.slice(0, pos).split('\n').length;
+
+module.exports.functionTypes = functionTypes;
+module.exports.getChildren = getChildren;
+module.exports.findNodeAfter = findNodeAfter;
+module.exports.getLine = getLine;
@@ -0,0 +1,86 @@
+const { createLookup } = require('./lookup.js');
+
+// bump whenever the shape of the index changes so old clients can ignore it
+const SEARCH_INDEX_VERSION = 1;
+
+// how much a match in each part of a block counts towards its rank
+const fieldWeights = {
+  name: 10,
+  memberOf: 5,
+  params: 5,
+  header: 3,
+  description: 2,
+  paramDescriptions: 2,
+  returns: 2,
+  examples: 1,
+};
+
+/**
+ * @description Splits text into lowercase search terms.  camelCase and snake_case words
+ * are also split into their parts so searching for part of a name finds it
+ * @param { string } text the text to split
+ * @return { array } the terms, in the order they appear and including repeats
+ */
+const tokenize = text => (String(text || '').match(/[A-Za-z0-9_$]+/g) || [])
+  .reduce((terms, word) => {
+    const parts = word
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .replace(/([A-Z])([A-Z][a-z])/g, '$1 $2')
+      .split(/[\s_$]+/)
+      .filter(part => part.length !== 0 && part !== word);
+    return terms.concat(word, parts.length > 1 ? parts : []);
+  }, [])
+  .map(term => term.toLowerCase());
+
+/**
+ * @description Gathers the searchable text of a block by field
+ * @param { object } block the sorted comment block
+ * @return { object } the text of each field in fieldWeights
+ */
+const getFields = (block) => {
+  const tagText = titles => block.tags
+    .filter(tag => titles.includes(tag.title))
+    .map(tag => tag.description || '')
+    .join('\n');
+  const paramTags = block.tags.filter(tag => tag.title === 'param');
+  return {
+    name: block.name,
+    memberOf: block.memberOf,
+    params: paramTags.map(tag => tag.name).concat((block.params || []).map(param => param.name)).join(' '),
+    header: block.header,
+    description: [block.description, tagText(['desc', 'description'])].join('\n'),
+    paramDescriptions: paramTags.map(tag => tag.description || '').join('\n'),
+    returns: tagText(['return', 'returns']),
+    examples: tagText(['example']),
+  };
+};
+
+/**
+ * @description Builds the index the sidebar searches.  Every term maps to the blocks it
+ * is found in along with a weight that counts how often, and in which fields, it appears
+ * @param { array } data the sorted comment blocks from execSorts
+ * @return { object } { version, docs, terms } where docs lists the id, name and header of
+ * each block and terms maps a term to [[doc position, weight]]
+ */
+const buildSearchIndex = (data) => {
+  const terms = createLookup();
+  const docs = data.map((block, docIndex) => {
+    const weights = createLookup();
+    const fields = getFields(block);
+    Object.keys(fields).forEach((field) => {
+      tokenize(fields[field]).forEach((term) => {
+        weights[term] = (weights[term] || 0) + fieldWeights[field];
+      });
+    });
+    Object.keys(weights).forEach((term) => {
+      if (terms[term] === undefined) terms[term] = [];
+      terms[term].push([docIndex, weights[term]]);
+    });
+    return { id: block.id, name: block.name, header: block.header };
+  });
+  return { version: SEARCH_INDEX_VERSION, docs, terms };
+};
+
+module.exports.buildSearchIndex = buildSearchIndex;
+module.exports.tokenize = tokenize;
+module.exports.SEARCH_INDEX_VERSION = SEARCH_INDEX_VERSION;
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const chokidar = require('chokidar');
+const { saveTags } = require('./parser/saveTags.js');
+const { watch } = require('./watcher.js');
+const { getRC } = require('./utils.js');
+
+const RELOAD_PATH = '/__gutendocs/livereload';
+const reloadScript = `<script>new EventSource('${RELOAD_PATH}').onmessage = () => window.location.reload();</script>`;
+
+const contentTypes = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+};
+
+/**
+ * @description Creates an http server for the api folder.  Pages are served with a script
+ * that reloads them whenever reload is called
+ * @param { string } apiPath path to the api folder
+ * @return { object } { server, reload, close } where server is the http server, not yet
+ * listening
+ */
+const createServer = (apiPath) => {
+  const root = path.resolve(apiPath);
+  // a Set, so a page that is already gone can't take another one with it
+  const clients = new Set();
+
+  const server = http.createServer((req, res) => {
+    let urlPath;
+    try {
+      urlPath = decodeURIComponent(req.url.split(/[?#]/)[0]);
+    } catch (err) {
+      res.writeHead(400);
+      res.end('Bad Request');
+      return;
+    }
+    if (urlPath === RELOAD_PATH) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+      });
+      res.write(':connected\n\n');
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+      return;
+    }
+    const filePath = path.join(root, urlPath.endsWith('/') ? `${urlPath}index.html` : urlPath);
+    if (filePath !== root && !filePath.startsWith(`${root}${path.sep}`)) {
+      res.writeHead(403);
+      res.end('Forbidden');
+      return;
+    }
+    fs.readFile(filePath, (err, contents) => {
+      if (err) {
+        res.writeHead(404);
+        res.end('Not Found');
+        return;
+      }
+      const extension = path.extname(filePath).toLowerCase();
+      res.writeHead(200, {
+        'Content-Type': contentTypes[extension] || 'application/octet-stream',
+        'Cache-Control': 'no-cache',
+      });
+      if (extension !== '.html') {
+        res.end(contents);
+        return;
+      }
+      const html = contents.toString();
+      res.end(html.includes('</body>')
+        ? html.replace('</body>', `${reloadScript}\n</body>`)
+        : html.concat(reloadScript));
+    });
+  });
+
+  const reload = () => clients.forEach(client => client.write('data: reload\n\n'));
+
+  // open event streams would keep the server from ever closing
+  const close = () => {
+    Array.from(clients).forEach(client => client.end());
+    server.close();
+  };
+  return { server, reload, close };
+};
+
+/**
+ * @description Serves the api folder and keeps it up to date.  The target paths are parsed
+ * again as they change, and open pages reload whenever anything in the api folder changes.
+ * Only this machine can connect, the server isn't meant to be reachable on the network
+ * @param { array } input the paths or glob patterns to document
+ * @param { number } port the port to listen on
+ * @param { object } gutenrc the gutenrc settings, found with getRC() when left out
+ * @return { object } { server, close } call close() to stop serving and watching
+ */
+const serve = (input, port, gutenrc = getRC()) => {
+  const apiPath = gutenrc.absPath.concat(gutenrc.apiDir);
+  const address = `${apiPath}parsedData.js`;
+  const { server, reload, close } = createServer(apiPath);
+  let timer;
+  const scheduleReload = () => {
+    clearTimeout(timer);
+    timer = setTimeout(reload, 100);
+  };
+
+  const sourceWatcher = watch(input, data => saveTags(data, address, gutenrc), gutenrc);
+  // hidden files like the cache are rewritten on every parse but never change the page
+  const apiWatcher = chokidar.watch(apiPath, {
+    ignoreInitial: true,
+    ignored: filePath => path.basename(filePath).startsWith('.'),
+  }).on('all', scheduleReload);
+
+  server.on('error', (err) => {
+    /* eslint-disable-next-line no-console */
+    if (err.code === 'EADDRINUSE') console.log(`\nPort ${port} is already in use, try "gutendocs serve --port <port>"`);
+    /* eslint-disable-next-line no-console */
+    else console.log(err);
+    sourceWatcher.close();
+    apiWatcher.close();
+  });
+  server.listen(port, 'localhost', () => {
+    /* eslint-disable-next-line no-console */
+    console.log(`Serving your API at http://localhost:${server.address().port}`);
+  });
+
+  return {
+    server,
+    close: () => {
+      clearTimeout(timer);
+      sourceWatcher.close();
+      apiWatcher.close();
+      close();
+    },
+  };
+};
+
+module.exports.createServer = createServer;
+module.exports.serve = serve;
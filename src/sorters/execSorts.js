@@ -1,7 +1,10 @@
 const fs = require('fs');
 const R = require('ramda');
 const { getRC } = require('../utils.js');
-const { sorts } = require('./sorters.js');
+const { sorts, toHeaderPath } = require('./sorters.js');
+const { orderSections } = require('./orderSections.js');
+const { resolveLinks } = require('../crossReferences.js');
+const { addSourceLinks } = require('../sourceLinks.js');
 
 /**
  * loads all the custom function definitions defined in gutenRC
@@ -44,13 +47,13 @@ const getCustomFunctions = (gutenRC) => {
 /**
  * @description Execute various sorting functions
  * @param { array } ast The Cleaned AST with parsed information
- * @return { array } ast The AST "sorted" with appropriate headers and priorities
- * assigned to it.
+ * @param { object } gutenRC the settings file, found with getRC() when left out
+ * @return { array } ast The AST "sorted" with appropriate headers, header paths and
+ * priorities assigned to it in the order set by sectionOrder and entryOrder, the cross
+ * references between blocks resolved and links to the source of each block.
  */
 
-const execSorts = (ast) => {
-  const gutenRC = getRC();
-
+const execSorts = (ast, gutenRC = getRC()) => {
   const { loadedCustomSorters, loadedCustomOptions } = getCustomFunctions(gutenRC);
   let options = gutenRC.skeleton;
   options = Object.assign(loadedCustomOptions, options);
@@ -71,7 +74,14 @@ const execSorts = (ast) => {
   sortFxns.push(sortFxnsObj.catchAll);
   const sortPipe = R.pipe(...sortFxns);
   // results will be in the format [ast, priority number, and options]. Only need ast.
-  return sortPipe({ ast, priority: 1, options }).ast;
+  // sorters can assign a path of headers, it is kept as headerPath and joined into header
+  const sections = sortPipe({ ast, priority: 1, options }).ast.map((block) => {
+    const headerPath = toHeaderPath(block.header);
+    return Object.assign({}, block, { header: headerPath.join('/'), headerPath });
+  });
+  // links are resolved last since they point at the ids the sorters assign
+  const sorted = resolveLinks(orderSections(sections, gutenRC), gutenRC);
+  return addSourceLinks(sorted, gutenRC);
 };
 
 
@@ -86,7 +96,14 @@ const execSorts = (ast) => {
  *   description: (string),
  *   tags: [{title: (string), description: (string)}],
  *   name: commentBlock.name,
- *   pathName: file.fileName
+ *   kind: ('class', 'method', 'function', 'constant', 'property', 'interface', 'type',
+ *     'enum' or 'namespace'),
+ *   memberOf: (dotted path of the owning class or object, or undefined),
+ *   params: [{name, type, default, rest, destructured, documented}] (functions only),
+ *   returns: (return type from a TypeScript signature, or undefined),
+ *   pathName: file.fileName,
+ *   line: (line the documented code starts on),
+ *   endLine: (line the documented code ends on)
  *  }
  */
 
@@ -95,13 +112,20 @@ const cleanAST = (ast) => {
 
   ast.forEach((file) => {
     file.content.forEach((commentBlock) => {
+      const memberOfTag = commentBlock.tags.find(tag => tag.title === 'memberof');
       commentBlocks.push({
         header: undefined,
         priority: undefined,
         description: commentBlock.description,
         tags: commentBlock.tags,
         name: commentBlock.name,
+        kind: commentBlock.kind,
+        memberOf: memberOfTag ? memberOfTag.description : commentBlock.memberOf,
+        params: commentBlock.params,
+        returns: commentBlock.returns,
         pathName: file.fileName,
+        line: commentBlock.line,
+        endLine: commentBlock.endLine,
       });
     });
   });
@@ -0,0 +1,155 @@
+const { createLookup } = require('../lookup.js');
+const { toHeaderPath } = require('./sorters.js');
+
+const entryOrders = ['source', 'alphabetical'];
+
+const compareText = (a = '', b = '') => {
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+};
+
+/**
+ * @description Reads the number of the @order tag of a block
+ * @param { object } block the comment block
+ * @return { number } the number, undefined when the block has no @order tag with a number
+ */
+const getOrderTag = (block) => {
+  const tag = block.tags.find(found => found.title === 'order');
+  const order = tag ? parseFloat(tag.description) : NaN;
+  return Number.isNaN(order) ? undefined : order;
+};
+
+/**
+ * @description Reads the entryOrder of the gutenrc, throwing when it isn't one this knows.
+ * Lets the setting be checked before parsing
+ * @param { object } gutenRC the gutenrc settings
+ * @return { string } the entryOrder, source when it is left out
+ */
+const getEntryOrder = (gutenRC) => {
+  const entryOrder = gutenRC.entryOrder || 'source';
+  if (!entryOrders.includes(entryOrder)) {
+    throw new Error(`Unknown entryOrder ${entryOrder} in your .gutenrc.json, use any of ${entryOrders.join(', ')}`);
+  }
+  return entryOrder;
+};
+
+/**
+ * @description Compares two blocks in the same section.  Blocks with an @order tag come
+ * first, lowest number first, and the rest follow in the entryOrder of the gutenrc
+ * @param { string } entryOrder source to keep the order of the code, alphabetical to
+ * order by name
+ * @return { function } the compare function for sort
+ */
+const compareEntries = entryOrder => (a, b) => {
+  const aOrder = getOrderTag(a.block);
+  const bOrder = getOrderTag(b.block);
+  if (aOrder !== undefined || bOrder !== undefined) {
+    if (aOrder === undefined) return 1;
+    if (bOrder === undefined) return -1;
+    if (aOrder !== bOrder) return aOrder - bOrder;
+  } else if (entryOrder === 'alphabetical') {
+    const byName = compareText(
+      (a.block.name || '').toLowerCase(),
+      (b.block.name || '').toLowerCase(),
+    );
+    if (byName !== 0) return byName;
+  } else {
+    const byFile = compareText(a.block.pathName, b.block.pathName);
+    if (byFile !== 0) return byFile;
+    const byLine = (a.block.line || 0) - (b.block.line || 0);
+    if (byLine !== 0) return byLine;
+  }
+  return a.index - b.index;
+};
+
+/**
+ * @description Puts the blocks in the order the docs should read.  Sections named in the
+ * sectionOrder of the gutenrc come first, in that order, and the rest follow by the
+ * priority the sorters gave them.  Nested sections are named by their full path, like
+ * Parsing/Comments, and bring the sections they are in along with them.  Every block is
+ * then given the priority of its place in that order, so the sections show in it wherever
+ * they are listed by priority
+ * @param { array } data the sorted comment blocks, with their headerPath
+ * @param { object } gutenRC the gutenrc settings
+ * @return { array } the blocks grouped by section in reading order
+ * @example orderSections(blocks, { sectionOrder: ['Setup', 'Parsing'], entryOrder: 'source' })
+ */
+const orderSections = (data, gutenRC) => {
+  const sectionOrder = gutenRC.sectionOrder || [];
+  const entryOrder = getEntryOrder(gutenRC);
+  // blocks without a header are kept in front of every section
+  const root = { entries: [], children: [] };
+  const sections = createLookup();
+  data.forEach((block, index) => {
+    let parent = root;
+    block.headerPath.forEach((name, depth) => {
+      const sectionPath = block.headerPath.slice(0, depth + 1).join('/');
+      if (sections[sectionPath] === undefined) {
+        sections[sectionPath] = {
+          path: sectionPath,
+          priority: block.priority,
+          index,
+          entries: [],
+          children: [],
+        };
+        parent.children.push(sections[sectionPath]);
+      }
+      const section = sections[sectionPath];
+      section.priority = Math.min(section.priority, block.priority);
+      parent = section;
+    });
+    parent.entries.push({ block, index });
+  });
+  // naming a nested section also moves the sections it is nested in
+  const rank = section => section.children.reduce(
+    (lowest, child) => Math.min(lowest, rank(child)),
+    sectionOrder.includes(section.path) ? sectionOrder.indexOf(section.path) : Infinity,
+  );
+  const compareSections = (a, b) => {
+    if (rank(a) !== rank(b)) return rank(a) < rank(b) ? -1 : 1;
+    return (a.priority - b.priority) || (a.index - b.index);
+  };
+  const ordered = [];
+  let priority = 0;
+  const addSection = (section) => {
+    priority += 1;
+    section.entries.sort(compareEntries(entryOrder))
+      .forEach(({ block }) => ordered.push(Object.assign({}, block, { priority })));
+    section.children.sort(compareSections).forEach(addSection);
+  };
+  addSection(root);
+  return ordered;
+};
+
+/**
+ * @description Nests the sections of the ordered blocks inside of each other, so the site
+ * and other tools can show them without working out the order again.  Sections keep the
+ * order of their first block, which orderSections already put in reading order
+ * @param { array } data the blocks from orderSections
+ * @return { array } [{ name, path, children }] where path is the header of the blocks
+ * directly in the section and children are the sections nested in it
+ * @example getSectionTree(blocks) returns [{ name: 'Parsing', path: 'Parsing', children: [
+ *   { name: 'Comments', path: 'Parsing/Comments', children: [] }] }]
+ */
+const getSectionTree = (data) => {
+  const root = { children: [] };
+  const sections = createLookup();
+  data.forEach((block) => {
+    const headerPath = block.headerPath || toHeaderPath(block.header);
+    headerPath.reduce((parent, name, depth) => {
+      const sectionPath = headerPath.slice(0, depth + 1).join('/');
+      if (sections[sectionPath] === undefined) {
+        sections[sectionPath] = { name, path: sectionPath, children: [] };
+        parent.children.push(sections[sectionPath]);
+      }
+      return sections[sectionPath];
+    }, root);
+  });
+  return root.children;
+};
+
+module.exports.getOrderTag = getOrderTag;
+module.exports.getEntryOrder = getEntryOrder;
+module.exports.orderSections = orderSections;
+module.exports.getSectionTree = getSectionTree;
@@ -101,9 +101,147 @@ const sortByParentDirectoryName = (data) => {
   };
   return sortWrapper(data, assignHeader);
 };
+
+/**
+ * @description A function that will assign a header path of the folders and file a block
+ * is in, so the sections nest as folder › file
+ * @param { object } data Receive {ast, priority, options}
+ * @return { object } updatedData {ast, priority, options}
+ */
+const sortByFilePath = (data) => {
+  const { targetDepth = 1, includeExtension = true } = data.options.sortByFilePath || {};
+  const assignHeader = (block, priority) => {
+    const alteredBlock = Object.assign({}, block);
+    // the first folder of pathName is the one holding the project
+    const folders = path.dirname(block.pathName).split(/[\\/]/).slice(1);
+    const fileName = includeExtension
+      ? path.basename(block.pathName)
+      : path.basename(block.pathName, path.extname(block.pathName));
+    alteredBlock.header = folders.slice(Math.max(folders.length - targetDepth, 0))
+      .concat(fileName);
+    alteredBlock.priority = priority;
+    return alteredBlock;
+  };
+  return sortWrapper(data, assignHeader);
+};
+
+/**
+ * @description Reads the header a sorter assigned as a path of section names.  Sorters
+ * can assign an array of names or a string with the names separated by /, such as
+ * @section Parsing/Comments
+ * @param { string } header the header, or an array of the names in it
+ * @return { array } the names of the sections from the outermost in
+ */
+const toHeaderPath = (header) => {
+  const names = Array.isArray(header) ? header : String(header === undefined ? '' : header).split('/');
+  return names.map(name => String(name).trim()).filter(name => name.length !== 0);
+};
+
+/**
+ * @description Turns a glob into a regular expression.  ** matches any number of folders,
+ * * and ? match within a folder and {a,b} matches either a or b
+ * @param { string } glob the glob, such as src/api/**
+ * @return { object } the RegExp matching the whole path
+ */
+const globToRegExp = (glob) => {
+  let pattern = '';
+  let braces = 0;
+  let i = 0;
+  while (i < glob.length) {
+    const char = glob[i];
+    let length = 1;
+    if (glob.startsWith('**/', i)) {
+      pattern += '(?:.*/)?';
+      length = 3;
+    } else if (glob.startsWith('**', i)) {
+      pattern += '.*';
+      length = 2;
+    } else if (char === '*') pattern += '[^/]*';
+    else if (char === '?') pattern += '[^/]';
+    else if (char === '{') {
+      pattern += '(?:';
+      braces += 1;
+    } else if (char === '}' && braces > 0) {
+      pattern += ')';
+      braces -= 1;
+    } else if (char === ',' && braces > 0) pattern += '|';
+    else pattern += char.replace(/[.+^$(){}|[\]\\]/, '\\$&');
+    i += length;
+  }
+  return new RegExp(`^${pattern}$`);
+};
+
+/**
+ * @description Builds the test for one rule of sortByRules
+ * @param { object } rule { glob, regex or tag, section } from the gutenrc
+ * @param { number } index where the rule is in the list, to name it in errors
+ * @return { function } called with a block, true when the rule matches it
+ */
+const toMatcher = (rule, index) => {
+  if (typeof rule.section !== 'string') {
+    throw new Error(`Every rule in skeleton.sortByRules needs a section, ${JSON.stringify(rule)} has none`);
+  }
+  if (rule.glob !== undefined) {
+    const glob = globToRegExp(rule.glob);
+    // pathName starts with the folder holding the project, the globs are written without it
+    return block => glob.test(block.pathName.split(/[\\/]/).slice(1).join('/'));
+  }
+  if (rule.regex !== undefined) {
+    let regex;
+    try {
+      regex = new RegExp(rule.regex);
+    } catch (err) {
+      throw new Error(`Rule ${index + 1} in skeleton.sortByRules has an invalid regex, ${JSON.stringify(rule)}: ${err.message}`);
+    }
+    return block => block.name !== undefined && regex.test(block.name);
+  }
+  if (rule.tag !== undefined) {
+    const tagName = rule.tag.replace('@', '');
+    return block => block.tags.some(tag => tag.title === tagName);
+  }
+  throw new Error(`Every rule in skeleton.sortByRules needs a glob, regex or tag, ${JSON.stringify(rule)} has none`);
+};
+
+/**
+ * @description Builds the tests for every rule of sortByRules, throwing on the first rule
+ * that can't be used.  Lets the rules be checked before parsing
+ * @param { array } rules the rules from the gutenrc, none when left out
+ * @return { array } [{ section, matches }] in the order of the rules
+ */
+const compileRules = (rules = []) => rules
+  .map((rule, index) => ({ section: rule.section, matches: toMatcher(rule, index) }));
+
+/**
+ * @description A function that will assign headers from the rules in the gutenrc.  Each
+ * rule is a glob matched against the path of the file, a regex matched against the name
+ * or a tag, and the first rule a block matches decides its header.  Every rule gets a
+ * priority of its own so the sections are shown in the order of the rules
+ * @param { object } data Receive {ast, priority, options}
+ * @return { object } updatedData {ast, priority, options}
+ */
+const sortByRules = (data) => {
+  const { rules } = data.options.sortByRules || {};
+  return compileRules(rules).reduce((sorted, { section, matches }) => {
+    const assignHeader = (block, priority) => {
+      const alteredBlock = Object.assign({}, block);
+      if (matches(block)) {
+        alteredBlock.header = section;
+        alteredBlock.priority = priority;
+      }
+      return alteredBlock;
+    };
+    return sortWrapper(sorted, assignHeader);
+  }, data);
+};
+
 module.exports.sortWrapper = sortWrapper;
+module.exports.globToRegExp = globToRegExp;
+module.exports.toHeaderPath = toHeaderPath;
+module.exports.compileRules = compileRules;
 module.exports.sorts = {};
 module.exports.sorts.sortByParentDirectoryName = sortByParentDirectoryName;
 module.exports.sorts.sortByTag = sortByTag;
 module.exports.sorts.catchAll = catchAll;
 module.exports.sorts.sortByFileName = sortByFileName;
+module.exports.sorts.sortByRules = sortByRules;
+module.exports.sorts.sortByFilePath = sortByFilePath;
@@ -0,0 +1,39 @@
+const path = require('path');
+
+/**
+ * @description Builds the link to the code a block documents.  The sourceUrl in the
+ * gutenrc is used when set, with {path} replaced by the path of the file from the project
+ * folder and {line} and {endLine} by the lines the code is on.  Without one the link is
+ * the path to the file from the API folder ending in #L and the line, which works while
+ * the API is read locally
+ * @param { object } block the sorted comment block
+ * @param { object } gutenrc the gutenrc settings
+ * @return { string } the url, undefined when the block has no line
+ * @example getSourceLink(block, { sourceUrl: 'https://github.com/me/repo/blob/master/{path}#L{line}' })
+ */
+const getSourceLink = (block, gutenrc) => {
+  if (block.line === undefined || block.pathName === undefined) return undefined;
+  // pathName is relative to the folder holding the project
+  const root = path.dirname(gutenrc.absPath.slice(0, -1));
+  const file = path.join(root, block.pathName);
+  const toURL = from => encodeURI(path.relative(from, file).split(path.sep).join('/'));
+  if (!gutenrc.sourceUrl) return `${toURL(gutenrc.absPath.concat(gutenrc.apiDir))}#L${block.line}`;
+  return gutenrc.sourceUrl
+    .replace(/\{path\}/g, toURL(gutenrc.absPath))
+    .replace(/\{line\}/g, block.line)
+    .replace(/\{endLine\}/g, block.endLine === undefined ? block.line : block.endLine);
+};
+
+/**
+ * @description Adds the link to its code to every block that knows where it is
+ * @param { array } data the sorted comment blocks from execSorts
+ * @param { object } gutenrc the gutenrc settings
+ * @return { array } the blocks, with source set to the url of the code
+ */
+const addSourceLinks = (data, gutenrc) => data.map((block) => {
+  const source = getSourceLink(block, gutenrc);
+  return source === undefined ? block : Object.assign({}, block, { source });
+});
+
+module.exports.getSourceLink = getSourceLink;
+module.exports.addSourceLinks = addSourceLinks;
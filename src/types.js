@@ -0,0 +1,17 @@
+const doctrine = require('doctrine');
+
+/**
+ * @description Writes a doctrine type the way it would appear in a JSDoc comment
+ * @param { object } type the doctrine type
+ * @return { string } the type, empty when there is no type
+ */
+const typeText = (type) => {
+  if (!type) return '';
+  try {
+    return doctrine.type.stringify(type, { compact: true });
+  } catch (error) {
+    return type.name || '';
+  }
+};
+
+module.exports.typeText = typeText;
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const { saveTags, getProject } = require('./parser/saveTags.js');
+
+const VERSIONS_FOLDER = 'versions/';
+
+/**
+ * @description Picks the label a snapshot is saved under
+ * @param { string } label the label given on the command line, may be empty
+ * @param { object } gutenrc the gutenrc settings
+ * @return { string } the label, or the version in the package.json of the project when
+ * no label was given
+ */
+const getVersionLabel = (label, gutenrc) => {
+  const versionLabel = label ? String(label) : getProject(gutenrc).version;
+  if (!versionLabel) {
+    throw new Error('Unable to snapshot the API, there is no version in your package.json.  Name the snapshot with "gutendocs parse --snapshot <version>"');
+  }
+  // the label is used as the name of a folder
+  if (!/^[\w.+-]+$/.test(versionLabel) || /^\.+$/.test(versionLabel)) {
+    throw new Error(`Unable to snapshot the API, ${versionLabel} can only use letters, numbers, ".", "+", "-" and "_"`);
+  }
+  return versionLabel;
+};
+
+/**
+ * @description Orders version labels newest first.  Numbers are compared as numbers so
+ * 1.10.0 comes before 1.9.0, anything else is compared as text
+ * @param { string } a the first label
+ * @param { string } b the second label
+ * @return { number } negative when a is the newer version
+ */
+const compareVersions = (a, b) => {
+  const aParts = a.replace(/^v/, '').split(/[.+-]/);
+  const bParts = b.replace(/^v/, '').split(/[.+-]/);
+  for (let i = 0; i < Math.max(aParts.length, bParts.length); i += 1) {
+    const aPart = aParts[i] === undefined ? '' : aParts[i];
+    const bPart = bParts[i] === undefined ? '' : bParts[i];
+    // a release is newer than its prereleases, like 1.0.0 and 1.0.0-beta
+    if (aPart === '' && /\D/.test(bPart)) return -1;
+    if (bPart === '' && /\D/.test(aPart)) return 1;
+    const difference = /^\d+$/.test(aPart) && /^\d+$/.test(bPart)
+      ? Number(bPart) - Number(aPart)
+      : bPart.localeCompare(aPart);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+};
+
+/**
+ * @description Reads the list of snapshots saved in the api folder
+ * @param { object } gutenrc the gutenrc settings
+ * @return { object } { versions } where versions is [{ label, path, date }], newest first
+ */
+const loadVersions = (gutenrc) => {
+  const manifestPath = gutenrc.absPath.concat(gutenrc.apiDir, 'versions.json');
+  try {
+    return JSON.parse(fs.readFileSync(manifestPath));
+  } catch (error) {
+    // nothing has been snapshotted yet
+    return { versions: [] };
+  }
+};
+
+/**
+ * @description Saves the sorted blocks as a version of the API.  The data and search index
+ * are written to versions/<label>/ in the api folder, and the label is added to
+ * versions.json, and versions.js when the dataFormats include js, for the site to list
+ * @param { array } data the sorted comment blocks from execSorts
+ * @param { string } label the label to save it under, the version in the package.json
+ * of the project is used when it is empty
+ * @param { object } gutenrc the gutenrc settings
+ * @return { string } the label the snapshot was saved under
+ */
+const snapshotVersion = (data, label, gutenrc) => {
+  const versionLabel = getVersionLabel(label, gutenrc);
+  const apiPath = gutenrc.absPath.concat(gutenrc.apiDir);
+  const folder = `${VERSIONS_FOLDER}${versionLabel}/`;
+  fs.mkdirSync(path.join(apiPath, folder), { recursive: true });
+  saveTags(data, path.join(apiPath, folder, 'parsedData.js'), gutenrc);
+  // saving the same label again replaces it
+  const versions = loadVersions(gutenrc).versions
+    .filter(version => version.label !== versionLabel)
+    .concat({ label: versionLabel, path: folder, date: new Date().toISOString() })
+    .sort((a, b) => compareVersions(a.label, b.label));
+  const manifest = JSON.stringify({ versions }, null, 2);
+  fs.writeFileSync(path.join(apiPath, 'versions.json'), manifest);
+  if ((gutenrc.dataFormats || ['js']).includes('js')) {
+    fs.writeFileSync(path.join(apiPath, 'versions.js'), `window.versions = ${manifest};`);
+  }
+  return versionLabel;
+};
+
+module.exports.getVersionLabel = getVersionLabel;
+module.exports.compareVersions = compareVersions;
+module.exports.loadVersions = loadVersions;
+module.exports.snapshotVersion = snapshotVersion;
@@ -0,0 +1,137 @@
+const path = require('path');
+const chokidar = require('chokidar');
+const extract = require('./parser/extract.js');
+const parseComments = require('./parser/parseComments.js');
+const { loadCache, saveCache } = require('./parser/cache.js');
+const { execSorts, cleanAST } = require('./sorters/execSorts.js');
+const { getRC } = require('./utils.js');
+
+const { sourceExtensions, toFileName } = extract;
+
+/**
+ * Logs an error from a rebuild without stopping the watcher
+ * @param { object } gutenrc the gutenrc settings
+ * @param { object } err the error thrown while rebuilding
+ */
+const reportError = (gutenrc, err) => {
+  /* eslint-disable-next-line no-console */
+  if (gutenrc.verbosity >= 3) console.log(err);
+  /* eslint-disable-next-line no-console */
+  else console.log(`\nUnable to update the API: ${err.message}`);
+};
+
+/**
+ * Keeps the parsed files in memory so a change only extracts the files it touched.
+ * Their results are merged into the cached AST before the sorters are run and the data
+ * is saved.  The parse cache is loaded once and saved after every update.
+ * @param { function } writeOutput called with the sorted data every time it changes,
+ * such as saveTags writing parsedData.js
+ * @param { object } gutenrc the gutenrc settings
+ * @return { object } { load, change, remove, update } load parses the first paths, change
+ * and remove note a file that was added, changed or deleted and update parses what was noted
+ * since the last update
+ */
+const createUpdater = (writeOutput, gutenrc) => {
+  const cachedAST = {};
+  const cache = loadCache(gutenrc);
+  let changed = {};
+  let removed = {};
+
+  const save = () => {
+    const ast = cleanAST(Object.keys(cachedAST).sort().map(file => cachedAST[file]));
+    writeOutput(execSorts(ast, gutenrc));
+  };
+
+  const mergeFiles = (data) => {
+    parseComments(data, gutenrc, cache).forEach((file) => {
+      cachedAST[file.fileName] = file;
+    });
+    saveCache(gutenrc, cache);
+  };
+
+  const load = input => extract(input, gutenrc, cache).then((data) => {
+    mergeFiles(data);
+    save();
+  });
+
+  const change = (filePath) => {
+    if (!sourceExtensions.includes(path.extname(filePath))) return false;
+    delete removed[toFileName(filePath, gutenrc)];
+    changed[filePath] = true;
+    return true;
+  };
+
+  const remove = (filePath) => {
+    if (!sourceExtensions.includes(path.extname(filePath))) return false;
+    delete changed[filePath];
+    removed[toFileName(filePath, gutenrc)] = true;
+    return true;
+  };
+
+  const update = () => {
+    const changedFiles = Object.keys(changed);
+    const removedFiles = Object.keys(removed).filter(file => cachedAST[file] !== undefined);
+    changed = {};
+    removed = {};
+    removedFiles.forEach((file) => { delete cachedAST[file]; });
+    if (changedFiles.length === 0) {
+      if (removedFiles.length !== 0) save();
+      return Promise.resolve();
+    }
+    // files the .gutenignore leaves out are dropped by extract
+    return extract(changedFiles, gutenrc, cache).then((data) => {
+      mergeFiles(data);
+      if (data.length !== 0 || removedFiles.length !== 0) save();
+    });
+  };
+
+  return {
+    load,
+    change,
+    remove,
+    update,
+  };
+};
+
+/**
+ * Parses the target paths and keeps the output up to date as files change.
+ * @param { array } input the paths or glob patterns to document
+ * @param { function } writeOutput called with the sorted data every time it changes,
+ * such as saveTags writing parsedData.js
+ * @param { object } gutenrc the gutenrc settings, found with getRC() when left out
+ * @return { object } the chokidar watcher, call close() on it to stop watching
+ */
+const watch = (input, writeOutput, gutenrc = getRC()) => {
+  const updater = createUpdater(writeOutput, gutenrc);
+  let timer;
+  let queue = Promise.resolve();
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      queue = queue.then(updater.update).catch(err => reportError(gutenrc, err));
+    }, 100);
+  };
+
+  queue = updater.load(input)
+    .then(() => {
+      /* eslint-disable-next-line no-console */
+      console.log('Watching for changes...');
+    })
+    .catch(err => reportError(gutenrc, err));
+
+  return chokidar.watch(input.map(target => path.resolve(target)), {
+    ignoreInitial: true,
+    ignored: [
+      gutenrc.absPath.concat(gutenrc.apiDir).replace(/\/$/, ''),
+      '**/node_modules/**',
+      '**/.git/**',
+    ],
+  })
+    .on('add', filePath => updater.change(filePath) && schedule())
+    .on('change', filePath => updater.change(filePath) && schedule())
+    .on('unlink', filePath => updater.remove(filePath) && schedule());
+};
+
+module.exports.createUpdater = createUpdater;
+module.exports.watch = watch;